@@ -1,7 +1,11 @@
 /**
  * Procedural candlestick chart generator for Adobe After Effects.
- * Creates a synthetic data stream, builds a chart layout, and wires expressions
- * so the animation plays back with per-second updates driven by control sliders.
+ * Creates a synthetic data stream from a seeded market model (see MARKET_MODELS) or
+ * loads real OHLC(V) history from a CSV or JSON file (see DATA_SOURCE), builds a chart
+ * layout with an optional volume pane under the prices (see VOLUME_PANE), moving-average
+ * and Bollinger Band overlays (see INDICATORS) and RSI and MACD panes below (see OSCILLATORS),
+ * and wires expressions so the animation plays back with per-second updates driven by control
+ * sliders.
  *
  * Drop this file into AE's Scripts folder (or run via File > Scripts > Run Script File)
  * to build the scene inside the active project.
@@ -10,27 +14,118 @@
 (function () {
     app.beginUndoGroup("Procedural Candlestick Chart");
 
-    var NUM_CANDLES = 120; // total synthetic seconds to render
+    var NUM_CANDLES = 120; // total synthetic seconds to render; an imported file sets its own count
+    var MAX_CANDLES = 999; // layers are named Candle_001 to Candle_999
     var COMP_WIDTH = 1920;
     var COMP_HEIGHT = 1080;
     var FRAME_RATE = 30;
-    var COMP_DURATION = NUM_CANDLES + 10; // leave buffer past final candle
     var BASE_PRICE = 2000;
-    var VOLATILITY = 4; // tune for variance between candles
+    var SEED = 12345; // the same seed and model always draw the same chart; 0 draws a new one each run
+    var MARKET_MODEL = "gbm"; // a key of MARKET_MODELS
+
+    /**
+     * Synthetic market models. Each takes a per-candle `drift` (mean log return), `volatility`
+     * (standard deviation of the log return), `wickRatio` (wick length in units of volatility)
+     * and `gapProbability` (chance a candle opens away from the previous close); the other
+     * fields shape that model's path.
+     */
+    var MARKET_MODELS = {
+        // geometric Brownian motion
+        gbm: {drift: 0.0001, volatility: 0.002, wickRatio: 0.6, gapProbability: 0.02},
+        // pulled back toward BASE_PRICE by `reversion` of the distance each candle
+        meanReverting: {drift: 0, volatility: 0.0025, wickRatio: 0.6, gapProbability: 0.02, reversion: 0.08},
+        // each return carries `momentum` of the one before, so moves run in streaks
+        trending: {drift: 0.0012, volatility: 0.0018, wickRatio: 0.5, gapProbability: 0.03, momentum: 0.35},
+        // bounces off BASE_PRICE +/- `range` (a fraction of the price)
+        choppyRange: {drift: 0, volatility: 0.004, wickRatio: 1.2, gapProbability: 0.01, range: 0.02},
+        // drops `crashDepth` over `crashLength` candles at `crashAt` of the series, then wins back
+        // `rebound` of the loss over three times as many
+        flashCrash: {drift: 0.0001, volatility: 0.0015, wickRatio: 0.6, gapProbability: 0.01, crashAt: 0.6, crashDepth: 0.12,
+            crashLength: 3, rebound: 0.5},
+        // falls by `drift` per candle until `bottomAt` of the series, then climbs back at the same rate
+        vRecovery: {drift: 0.0015, volatility: 0.002, wickRatio: 0.6, gapProbability: 0.02, bottomAt: 0.5}
+    };
+
+    /**
+     * Real history instead of the synthetic walk: a CSV with a header row, or JSON holding a
+     * list of candles (objects keyed like the columns, or [date, open, high, low, close, volume]
+     * arrays), on its own or under "candles", "data", "bars" or "ohlc". Rows are sorted by date,
+     * and only the latest MAX_CANDLES are kept. Semicolon-separated files take commas as decimal
+     * points and dots as thousands separators:
+     *
+     *     Date;Open;High;Low;Close;Volume
+     *     02.01.2024;1.998,25;2.004,75;1.990,10;2.000,50;1.250.000
+     */
+    var DATA_SOURCE = {
+        path: "", // empty for the synthetic walk
+        promptForFile: false, // ask for the file when the script runs; Cancel keeps the synthetic walk
+        columns: { // header names (or JSON keys) per field, first match wins; case and spacing are ignored
+            date: ["date", "datetime", "timestamp", "time"],
+            open: ["open", "o"],
+            high: ["high", "h"],
+            low: ["low", "l"],
+            close: ["close", "c", "last", "adj close"],
+            volume: ["volume", "vol", "v"] // optional
+        },
+        // Tried in order: YYYY, MM, DD, hh, mm, ss stand for digits; "unix" is epoch seconds or ms.
+        dateFormats: ["YYYY-MM-DD hh:mm:ss", "YYYY-MM-DDThh:mm:ss", "YYYY-MM-DD hh:mm", "YYYY-MM-DD",
+            "MM/DD/YYYY hh:mm", "MM/DD/YYYY", "DD.MM.YYYY", "unix"],
+        // Rows whose high and low do not bracket open and close: "repair" stretches high and low
+        // to cover them, "reject" drops the row.
+        invalidRows: "repair"
+    };
+    var MAX_REPORTED_ISSUES = 20;
+
+    // Volume histogram under the price pane, one bar per candle in the candle's color. Series
+    // without volume get a synthetic one that rises with each candle's high-low range.
+    var VOLUME_PANE = {
+        enabled: true,
+        heightRatio: 0.22, // share of the chart area below the title given to the volume pane
+        gap: 24, // px between the price and volume panes
+        barOpacity: 70, // percent
+        baseVolume: 1000000 // typical synthetic volume per candle
+    };
+
+    // Overlays drawn over the candles from the closes, each with a "Show <name>" checkbox and a
+    // "<name> Color" control on "Chart Controls". Moving averages are "SMA" or "EMA"; the bands
+    // are a `period` SMA plus and minus `deviations` standard deviations.
+    var INDICATORS = {
+        movingAverages: [
+            {type: "SMA", period: 20, color: [0.98, 0.78, 0.25, 1]},
+            {type: "SMA", period: 50, color: [0.36, 0.66, 1, 1]},
+            {type: "EMA", period: 12, color: [1, 0.45, 0.8, 1]}
+        ],
+        bollinger: {enabled: true, period: 20, deviations: 2, color: [0.62, 0.5, 0.95, 1], fillOpacity: 12},
+        lineWidth: 3
+    };
+
+    // Oscillator panes stacked under the price and volume panes, each with a label, its own grid
+    // and a "Show <name>" checkbox. RSI uses Wilder's smoothing and is scaled 0 to 100 with guide
+    // lines at `overbought` and `oversold`; the MACD histogram takes the bull and bear colors.
+    var OSCILLATORS = {
+        rsi: {enabled: true, period: 14, overbought: 70, oversold: 30, heightRatio: 0.12, gap: 24,
+            color: [0.98, 0.78, 0.25, 1], guideColor: [0.85, 0.2, 0.28, 0.7]},
+        macd: {enabled: true, fast: 12, slow: 26, signal: 9, heightRatio: 0.12, gap: 24,
+            color: [0.36, 0.66, 1, 1], signalColor: [1, 0.55, 0.2, 1], barOpacity: 70}
+    };
 
     if (!app.project) {
         app.newProject();
     }
 
     var project = app.project;
-    var comp = project.items.addComp(
-        "Synthetic Candlestick Chart",
-        COMP_WIDTH,
-        COMP_HEIGHT,
-        1,
-        COMP_DURATION,
-        FRAME_RATE
-    );
+
+    // Panes under the prices, top to bottom; each gets "<name> Height" and "<name> Gap" sliders.
+    var lowerPanes = [];
+    if (VOLUME_PANE.enabled) {
+        lowerPanes.push({name: "Volume", heightRatio: VOLUME_PANE.heightRatio, gap: VOLUME_PANE.gap});
+    }
+    if (OSCILLATORS.rsi.enabled) {
+        lowerPanes.push({name: "RSI", heightRatio: OSCILLATORS.rsi.heightRatio, gap: OSCILLATORS.rsi.gap});
+    }
+    if (OSCILLATORS.macd.enabled) {
+        lowerPanes.push({name: "MACD", heightRatio: OSCILLATORS.macd.heightRatio, gap: OSCILLATORS.macd.gap});
+    }
 
     /**
      * Utility helpers
@@ -64,7 +159,25 @@
         return effect;
     }
 
-    function createHorizontalLine(parentGroup, ratio, thickness, colorArray, name) {
+    // Expression lines for the top and height of the price pane, or of the named pane below it.
+    function paneExpression(paneName) {
+        if (!paneName) {
+            return 'var top = controls.effect("Chart Top")("Slider");\n' +
+                'var height = controls.effect("Chart Height")("Slider");\n';
+        }
+        var top = 'var top = controls.effect("Chart Top")("Slider") + controls.effect("Chart Height")("Slider")';
+        for (var i = 0; i < lowerPanes.length; i += 1) {
+            top += ' +\n  controls.effect("' + lowerPanes[i].name + ' Gap")("Slider")';
+            if (lowerPanes[i].name === paneName) {
+                break;
+            }
+            top += ' + controls.effect("' + lowerPanes[i].name + ' Height")("Slider")';
+        }
+        return top + ';\n' +
+            'var height = controls.effect("' + paneName + ' Height")("Slider");\n';
+    }
+
+    function createHorizontalLine(parentGroup, ratio, thickness, colorArray, name, paneName) {
         var lineGroup = parentGroup.addProperty("ADBE Vector Group");
         lineGroup.name = name;
         var vectors = lineGroup.property("ADBE Vectors Group");
@@ -82,12 +195,45 @@
             'var controls = thisComp.layer("Chart Controls");\n' +
             'var left = controls.effect("Chart Left")("Slider");\n' +
             'var width = controls.effect("Chart Width")("Slider");\n' +
-            'var top = controls.effect("Chart Top")("Slider");\n' +
-            'var height = controls.effect("Chart Height")("Slider");\n' +
+            paneExpression(paneName) +
             'var y = top + height * ' + ratio + ';\n' +
             '[left + width / 2, y];';
     }
 
+    // Stretches `height` over the panes below the prices, so vertical grid lines run through all of them.
+    function lowerPanesSpanExpression() {
+        var lines = '';
+        for (var i = 0; i < lowerPanes.length; i += 1) {
+            lines += 'height += controls.effect("' + lowerPanes[i].name + ' Gap")("Slider") + controls.effect("' +
+                lowerPanes[i].name + ' Height")("Slider");\n';
+        }
+        return lines;
+    }
+
+    // A framed background behind one of the panes under the prices.
+    function createPaneBackground(parentGroup, paneName) {
+        var group = parentGroup.addProperty("ADBE Vector Group");
+        group.name = paneName + " Background";
+        var vectors = group.property("ADBE Vectors Group");
+        var rect = vectors.addProperty("ADBE Vector Shape - Rect");
+        rect.property("ADBE Vector Rect Roundness").setValue(0);
+        rect.property("ADBE Vector Rect Size").expression =
+            'var controls = thisComp.layer("Chart Controls");\n' +
+            'var width = controls.effect("Chart Width")("Slider");\n' +
+            paneExpression(paneName) +
+            '[width, height];';
+        vectors.addProperty("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color").setValue([0.07, 0.09, 0.13, 0.85]);
+        var stroke = vectors.addProperty("ADBE Vector Graphic - Stroke");
+        stroke.property("ADBE Vector Stroke Color").setValue([0.22, 0.32, 0.42, 1]);
+        stroke.property("ADBE Vector Stroke Width").setValue(2);
+        group.property("ADBE Vector Transform Group").property("ADBE Vector Position").expression =
+            'var controls = thisComp.layer("Chart Controls");\n' +
+            'var left = controls.effect("Chart Left")("Slider");\n' +
+            'var width = controls.effect("Chart Width")("Slider");\n' +
+            paneExpression(paneName) +
+            '[left + width / 2, top + height / 2];';
+    }
+
     function createVerticalLine(parentGroup, ratio, thickness, colorArray, name) {
         var lineGroup = parentGroup.addProperty("ADBE Vector Group");
         lineGroup.name = name;
@@ -97,6 +243,7 @@
         rectShape.property("ADBE Vector Rect Size").expression =
             'var controls = thisComp.layer("Chart Controls");\n' +
             'var height = controls.effect("Chart Height")("Slider");\n' +
+            lowerPanesSpanExpression() +
             '[' +
             thickness + ', height];';
         var fill = vectors.addProperty("ADBE Vector Graphic - Fill");
@@ -108,41 +255,893 @@
             'var width = controls.effect("Chart Width")("Slider");\n' +
             'var top = controls.effect("Chart Top")("Slider");\n' +
             'var height = controls.effect("Chart Height")("Slider");\n' +
+            lowerPanesSpanExpression() +
             'var x = left + width * ' + ratio + ';\n' +
             '[x, top + height / 2];';
     }
 
     /**
-     * Generate synthetic OHLC data
+     * Seeded market models
      */
-    var data = [];
-    var currentPrice = BASE_PRICE;
-
-    for (var i = 0; i < NUM_CANDLES; i += 1) {
-        var open = currentPrice;
-        // bias the trend slightly so the series drifts
-        var directionalBias = (Math.sin(i / 12) + Math.cos(i / 18)) * 0.5;
-        var close = open + (Math.random() - 0.5 + directionalBias * 0.1) * VOLATILITY;
-        var high = Math.max(open, close) + Math.random() * (VOLATILITY * 0.8);
-        var low = Math.min(open, close) - Math.random() * (VOLATILITY * 0.8);
-        currentPrice = close;
-
-        // enforce high/low bounds
-        if (high < Math.max(open, close)) {
-            high = Math.max(open, close);
-        }
-        if (low > Math.min(open, close)) {
-            low = Math.min(open, close);
-        }
-
-        data.push({
-            open: open,
-            high: high,
-            low: low,
-            close: close
+    function createRng(seed) {
+        var value = seed % 2147483647;
+        if (value <= 0) {
+            value += 2147483646;
+        }
+        return {
+            next: function () {
+                value = (value * 16807) % 2147483647;
+                return (value - 1) / 2147483646;
+            },
+            range: function (minValue, maxValue) {
+                return minValue + (maxValue - minValue) * this.next();
+            },
+            normal: function () {
+                // Box-Muller: a standard normal draw from two uniform ones
+                var u = Math.max(1e-12, this.next());
+                return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.next());
+            }
+        };
+    }
+
+    // Log return of candle `index` under the named model; `state.lastReturn` is the one before.
+    function modelReturn(name, model, index, count, logPrice, state, rng) {
+        var noise = model.volatility * rng.normal();
+        var baseLog = Math.log(BASE_PRICE);
+        switch (name) {
+        case "meanReverting":
+            return model.drift + model.reversion * (baseLog - logPrice) + noise;
+        case "trending":
+            return model.drift + model.momentum * (state.lastReturn - model.drift) + noise;
+        case "choppyRange":
+            var next = logPrice + model.drift + noise;
+            var upper = baseLog + Math.log(1 + model.range);
+            var lower = baseLog + Math.log(1 - model.range);
+            // reflect off the edges of the range
+            if (next > upper) {
+                next = Math.max(lower, 2 * upper - next);
+            } else if (next < lower) {
+                next = Math.min(upper, 2 * lower - next);
+            }
+            return next - logPrice;
+        case "flashCrash":
+            var crashStart = Math.floor(count * model.crashAt);
+            var crashLength = Math.max(1, Math.round(model.crashLength));
+            var crashLog = Math.log(1 - model.crashDepth);
+            if (index >= crashStart && index < crashStart + crashLength) {
+                return crashLog / crashLength + noise * 2;
+            }
+            if (index >= crashStart + crashLength && index < crashStart + crashLength * 4) {
+                return -crashLog * model.rebound / (crashLength * 3) + noise;
+            }
+            return model.drift + noise;
+        case "vRecovery":
+            return (index < count * model.bottomAt ? -model.drift : model.drift) + noise;
+        default: // "gbm"
+            return model.drift - model.volatility * model.volatility / 2 + noise;
+        }
+    }
+
+    /**
+     * Draws `count` candles from the named model. Opening gaps, wicks and closes all come from
+     * the seeded generator, so a seed reproduces the chart exactly.
+     */
+    function generateCandles(name, seed, count) {
+        if (!MARKET_MODELS.hasOwnProperty(name)) {
+            throw new Error("Unknown market model \"" + name + "\"; use one of the keys of MARKET_MODELS.");
+        }
+        var model = MARKET_MODELS[name];
+        var rng = createRng(seed);
+        var candles = [];
+        var state = {lastReturn: model.drift};
+        var logPrice = Math.log(BASE_PRICE);
+        for (var i = 0; i < count; i += 1) {
+            if (rng.next() < model.gapProbability) {
+                // gap away from the last close by two to four times the usual move
+                logPrice += (rng.next() < 0.5 ? -1 : 1) * model.volatility * rng.range(2, 4);
+            }
+            var change = modelReturn(name, model, i, count, logPrice, state, rng);
+            var open = Math.exp(logPrice);
+            var close = Math.exp(logPrice + change);
+            var wick = model.wickRatio * model.volatility;
+            candles.push({
+                open: open,
+                high: Math.max(open, close) * Math.exp(Math.abs(rng.normal()) * wick),
+                low: Math.min(open, close) * Math.exp(-Math.abs(rng.normal()) * wick),
+                close: close
+            });
+            logPrice += change;
+            state.lastReturn = change;
+        }
+        return candles;
+    }
+
+    /**
+     * Fills in volume for a series that has none: heavier on candles with a wide high-low range,
+     * with some seeded noise. It draws from its own generator, so the prices a seed gives are
+     * the same with or without the volume pane.
+     */
+    function addSyntheticVolume(candles, seed) {
+        var rng = createRng(seed * 31 + 7);
+        var totalRange = 0;
+        for (var i = 0; i < candles.length; i += 1) {
+            totalRange += (candles[i].high - candles[i].low) / Math.max(0.0001, Math.abs(candles[i].open));
+        }
+        var typicalRange = Math.max(0.000001, totalRange / candles.length);
+        for (var c = 0; c < candles.length; c += 1) {
+            var range = (candles[c].high - candles[c].low) / Math.max(0.0001, Math.abs(candles[c].open));
+            candles[c].volume = Math.round(VOLUME_PANE.baseVolume * (0.4 + 0.6 * range / typicalRange) * Math.exp(0.3 * rng.normal()));
+        }
+    }
+
+    /**
+     * OHLC file import
+     */
+    function trimString(text) {
+        return String(text).replace(/^\s+|\s+$/g, "");
+    }
+
+    function readTextFile(file) {
+        if (!file.exists) {
+            throw new Error("File not found: " + file.fsName);
+        }
+        file.encoding = "UTF-8";
+        if (!file.open("r")) {
+            throw new Error("Unable to open file: " + file.fsName);
+        }
+        var text = file.read();
+        file.close();
+        return text.replace(/^\uFEFF/, "");
+    }
+
+    function parseJson(text) {
+        if (typeof JSON !== "undefined" && JSON.parse) {
+            return JSON.parse(text);
+        }
+        // ExtendScript has no JSON object; only evaluate text that is shaped like JSON.
+        var stripped = text
+            .replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, "@")
+            .replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g, "]")
+            .replace(/(?:^|:|,)(?:\s*\[)+/g, "");
+        if (!/^[\],:{}\s]*$/.test(stripped)) {
+            throw new Error("Invalid JSON");
+        }
+        return eval("(" + text + ")");
+    }
+
+    // Splits CSV text into rows of fields (comma, semicolon or tab separated, with quoted fields).
+    function parseCsv(text) {
+        var firstLine = text.split(/\r\n|\r|\n/)[0];
+        var delimiter = ",";
+        if (firstLine.split(";").length > firstLine.split(delimiter).length) {
+            delimiter = ";";
+        }
+        if (firstLine.split("\t").length > firstLine.split(delimiter).length) {
+            delimiter = "\t";
+        }
+        var rows = [];
+        var row = [];
+        var field = "";
+        var inQuotes = false;
+        var line = 1;
+        for (var i = 0; i < text.length; i += 1) {
+            var ch = text.charAt(i);
+            if (inQuotes) {
+                if (ch === "\"" && text.charAt(i + 1) === "\"") {
+                    field += "\"";
+                    i += 1;
+                } else if (ch === "\"") {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === "\"") {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = "";
+            } else if (ch === "\r" || ch === "\n") {
+                if (ch === "\r" && text.charAt(i + 1) === "\n") {
+                    i += 1;
+                }
+                row.push(field);
+                row.line = line;
+                rows.push(row);
+                row = [];
+                field = "";
+                line += 1;
+            } else {
+                field += ch;
+            }
+        }
+        if (field.length || row.length) {
+            row.push(field);
+            row.line = line;
+            rows.push(row);
+        }
+        rows.delimiter = delimiter;
+        return rows;
+    }
+
+    function normalizeKey(name) {
+        return trimString(name).toLowerCase().replace(/[\s_\-]+/g, " ");
+    }
+
+    // Index of the first alias found among the keys (alias order wins), or -1.
+    function findColumn(aliases, keys) {
+        for (var a = 0; a < aliases.length; a += 1) {
+            for (var k = 0; k < keys.length; k += 1) {
+                if (normalizeKey(keys[k]) === normalizeKey(aliases[a])) {
+                    return k;
+                }
+            }
+        }
+        return -1;
+    }
+
+    // `decimalComma` is set for ";"-separated files, where any comma is the decimal point.
+    function parseNumber(raw, decimalComma) {
+        if (typeof raw === "number") {
+            return raw;
+        }
+        if (raw === undefined || raw === null) {
+            return NaN;
+        }
+        var text = trimString(raw).replace(/[$\u20AC\u00A3\s]/g, "");
+        if (decimalComma || (text.split(",").length === 2 && /,\d{1,2}$/.test(text))) {
+            // "2000,5" or "1.234,56": the comma is the decimal point and dots group thousands
+            text = text.replace(/\.(?=\d{3}(\D|$))/g, "").replace(",", ".");
+        } else {
+            text = text.replace(/,(?=\d{3}(\D|$))/g, "");
+        }
+        return /^[+\-]?(\d+\.?\d*|\.\d+)([eE][+\-]?\d+)?$/.test(text) ? parseFloat(text) : NaN;
+    }
+
+    // Milliseconds (UTC) for text in the given format, or null when it does not match.
+    function matchDateFormat(text, format) {
+        var tokens = [];
+        var pattern = format.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&").replace(/YYYY|MM|DD|hh|mm|ss/g, function (token) {
+            tokens.push(token);
+            return token === "YYYY" ? "(\\d{4})" : "(\\d{1,2})";
         });
+        var match = new RegExp("^" + pattern + "(?!\\d)").exec(text);
+        if (!match) {
+            return null;
+        }
+        var parts = {YYYY: 1970, MM: 1, DD: 1, hh: 0, mm: 0, ss: 0};
+        for (var i = 0; i < tokens.length; i += 1) {
+            parts[tokens[i]] = parseInt(match[i + 1], 10);
+        }
+        if (parts.MM < 1 || parts.MM > 12 || parts.DD < 1 || parts.DD > 31 || parts.hh > 23 || parts.mm > 59 || parts.ss > 59) {
+            return null;
+        }
+        return Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.hh, parts.mm, parts.ss);
+    }
+
+    function parseDate(raw, formats) {
+        if (typeof raw === "number") {
+            return raw > 1e11 ? raw : raw * 1000;
+        }
+        var text = trimString(raw);
+        for (var i = 0; i < formats.length; i += 1) {
+            if (formats[i] === "unix") {
+                if (/^\d{9,13}$/.test(text)) {
+                    return text.length > 11 ? parseInt(text, 10) : parseInt(text, 10) * 1000;
+                }
+                continue;
+            }
+            var time = matchDateFormat(text, formats[i]);
+            if (time !== null) {
+                return time;
+            }
+        }
+        return null;
+    }
+
+    // Raw rows as {label, values} with values keyed by field; fields a file lacks are left out.
+    function csvRecords(text) {
+        var rows = parseCsv(text);
+        var header = null;
+        var records = [];
+        var fields = {};
+        for (var r = 0; r < rows.length; r += 1) {
+            if (trimString(rows[r].join("")) === "") {
+                continue;
+            }
+            if (!header) {
+                header = rows[r];
+                for (var field in DATA_SOURCE.columns) {
+                    if (DATA_SOURCE.columns.hasOwnProperty(field)) {
+                        fields[field] = findColumn(DATA_SOURCE.columns[field], header);
+                    }
+                }
+                continue;
+            }
+            var values = {};
+            for (var key in fields) {
+                if (fields.hasOwnProperty(key) && fields[key] !== -1) {
+                    values[key] = rows[r][fields[key]];
+                }
+            }
+            records.push({label: "Line " + rows[r].line, values: values});
+        }
+        records.decimalComma = rows.delimiter === ";";
+        return records;
+    }
+
+    function jsonRecords(text) {
+        var parsed = parseJson(text);
+        var list = parsed instanceof Array ? parsed : null;
+        var containers = ["candles", "data", "bars", "ohlc"];
+        for (var c = 0; c < containers.length && !list; c += 1) {
+            if (parsed && parsed[containers[c]] instanceof Array) {
+                list = parsed[containers[c]];
+            }
+        }
+        if (!list) {
+            throw new Error("Expected a list of candles or an object with a \"candles\" list.");
+        }
+        var order = ["date", "open", "high", "low", "close", "volume"];
+        var records = [];
+        for (var i = 0; i < list.length; i += 1) {
+            var entry = list[i];
+            var values = {};
+            if (entry instanceof Array) {
+                for (var n = 0; n < order.length && n < entry.length; n += 1) {
+                    values[order[n]] = entry[n];
+                }
+            } else if (entry !== null && typeof entry === "object") {
+                var keys = [];
+                for (var key in entry) {
+                    if (entry.hasOwnProperty(key)) {
+                        keys.push(key);
+                    }
+                }
+                for (var field in DATA_SOURCE.columns) {
+                    var index = DATA_SOURCE.columns.hasOwnProperty(field) ? findColumn(DATA_SOURCE.columns[field], keys) : -1;
+                    if (index !== -1) {
+                        values[field] = entry[keys[index]];
+                    }
+                }
+            }
+            records.push({label: "Entry " + (i + 1), values: values});
+        }
+        return records;
+    }
+
+    /**
+     * Loads OHLC(V) candles from a CSV or JSON file, sorted by date. Returns the candles with
+     * the rows that were rejected or repaired; throws when the file has no usable candle.
+     */
+    function loadCandles(file) {
+        var text = readTextFile(file);
+        var records = /\.json$/i.test(file.name) || /^\s*[\[{]/.test(text) ? jsonRecords(text) : csvRecords(text);
+        var decimalComma = records.decimalComma === true;
+        var fields = ["open", "high", "low", "close"];
+        var candles = [];
+        var rejected = [];
+        var repaired = [];
+        var hasDates = false;
+        for (var r = 0; r < records.length; r += 1) {
+            var values = records[r].values;
+            var candle = {label: records[r].label, order: r};
+            var problem = null;
+            for (var f = 0; f < fields.length && !problem; f += 1) {
+                candle[fields[f]] = parseNumber(values[fields[f]], decimalComma);
+                if (isNaN(candle[fields[f]])) {
+                    problem = values[fields[f]] === undefined || trimString(values[fields[f]]) === "" ?
+                        "missing " + fields[f] : fields[f] + " \"" + values[fields[f]] + "\" is not a number";
+                }
+            }
+            if (!problem && values.date !== undefined && values.date !== null && trimString(values.date) !== "") {
+                hasDates = true;
+                candle.date = trimString(values.date);
+                candle.time = parseDate(values.date, DATA_SOURCE.dateFormats);
+                if (candle.time === null) {
+                    problem = "date \"" + candle.date + "\" matches none of the date formats";
+                }
+            }
+            if (!problem && !(candle.high >= Math.max(candle.open, candle.close) && Math.min(candle.open, candle.close) >= candle.low)) {
+                if (DATA_SOURCE.invalidRows === "reject") {
+                    problem = "high and low do not cover open and close";
+                } else {
+                    candle.high = Math.max(candle.high, candle.low, candle.open, candle.close);
+                    candle.low = Math.min(candle.high, candle.low, candle.open, candle.close);
+                    repaired.push(candle.label);
+                }
+            }
+            if (problem) {
+                rejected.push(candle.label + ": " + problem);
+                continue;
+            }
+            var volume = parseNumber(values.volume, decimalComma);
+            candle.volume = isNaN(volume) || volume < 0 ? null : volume;
+            candles.push(candle);
+        }
+
+        if (hasDates) {
+            // Files are often newest first; keep the first of any repeated date.
+            for (var d = 0; d < candles.length; d += 1) {
+                if (candles[d].time === undefined) {
+                    rejected.push(candles[d].label + ": missing date");
+                    candles.splice(d, 1);
+                    d -= 1;
+                }
+            }
+            candles.sort(function (a, b) {
+                return a.time !== b.time ? a.time - b.time : a.order - b.order;
+            });
+            for (var u = 1; u < candles.length; u += 1) {
+                if (candles[u].time === candles[u - 1].time) {
+                    rejected.push(candles[u].label + ": repeats the date " + candles[u].date);
+                    candles.splice(u, 1);
+                    u -= 1;
+                }
+            }
+        }
+        if (!candles.length) {
+            throw new Error("No usable candles in " + File.decode(file.name) +
+                (rejected.length ? ":\n" + rejected.slice(0, MAX_REPORTED_ISSUES).join("\n") : "."));
+        }
+        var dropped = Math.max(0, candles.length - MAX_CANDLES);
+        return {candles: candles.slice(dropped), rejected: rejected, repaired: repaired, dropped: dropped};
+    }
+
+    /**
+     * Indicator series: one value per candle, null until the period has enough closes
+     */
+    function closingPrices(candles) {
+        var closes = [];
+        for (var i = 0; i < candles.length; i += 1) {
+            closes.push(candles[i].close);
+        }
+        return closes;
+    }
+
+    function simpleMovingAverage(values, period) {
+        var result = [];
+        var sum = 0;
+        for (var i = 0; i < values.length; i += 1) {
+            sum += values[i];
+            if (i >= period) {
+                sum -= values[i - period];
+            }
+            result.push(i >= period - 1 ? sum / period : null);
+        }
+        return result;
     }
 
+    // Seeded with the SMA of the first `period` closes, as charting packages do.
+    function exponentialMovingAverage(values, period) {
+        var result = simpleMovingAverage(values, period);
+        var k = 2 / (period + 1);
+        for (var i = period; i < values.length; i += 1) {
+            result[i] = values[i] * k + result[i - 1] * (1 - k);
+        }
+        return result;
+    }
+
+    function bollingerBands(values, period, deviations) {
+        var middle = simpleMovingAverage(values, period);
+        var upper = [];
+        var lower = [];
+        for (var i = 0; i < values.length; i += 1) {
+            if (middle[i] === null) {
+                upper.push(null);
+                lower.push(null);
+                continue;
+            }
+            var variance = 0;
+            for (var j = i - period + 1; j <= i; j += 1) {
+                variance += (values[j] - middle[i]) * (values[j] - middle[i]);
+            }
+            var spread = deviations * Math.sqrt(variance / period);
+            upper.push(middle[i] + spread);
+            lower.push(middle[i] - spread);
+        }
+        return {middle: middle, upper: upper, lower: lower};
+    }
+
+    // Wilder's RSI: average gains and losses start as plain means over `period` changes and are
+    // then smoothed by 1/period. `gains` and `losses` hold those averages as of each candle.
+    function relativeStrengthIndex(values, period) {
+        var result = [null];
+        var gains = [0];
+        var losses = [0];
+        var averageGain = 0;
+        var averageLoss = 0;
+        for (var i = 1; i < values.length; i += 1) {
+            var change = values[i] - values[i - 1];
+            var gain = change > 0 ? change : 0;
+            var loss = change < 0 ? -change : 0;
+            if (i <= period) {
+                averageGain += gain / period;
+                averageLoss += loss / period;
+            } else {
+                averageGain = (averageGain * (period - 1) + gain) / period;
+                averageLoss = (averageLoss * (period - 1) + loss) / period;
+            }
+            gains.push(averageGain);
+            losses.push(averageLoss);
+            if (i < period) {
+                result.push(null);
+            } else if (averageLoss === 0) {
+                result.push(averageGain === 0 ? 50 : 100);
+            } else {
+                result.push(100 - 100 / (1 + averageGain / averageLoss));
+            }
+        }
+        return {values: values.length ? result : [], gains: gains, losses: losses};
+    }
+
+    function macdSeries(values, fast, slow, signal) {
+        var fastLine = exponentialMovingAverage(values, fast);
+        var slowLine = exponentialMovingAverage(values, slow);
+        var line = [];
+        var defined = [];
+        for (var i = 0; i < values.length; i += 1) {
+            if (fastLine[i] === null || slowLine[i] === null) {
+                line.push(null);
+            } else {
+                line.push(fastLine[i] - slowLine[i]);
+                defined.push(line[i]);
+            }
+        }
+        // the signal line is an EMA of the MACD line from its first value on
+        var signalTail = exponentialMovingAverage(defined, signal);
+        var signalLine = [];
+        var histogram = [];
+        for (var j = 0; j < values.length; j += 1) {
+            var tail = j - (values.length - defined.length);
+            var signalValue = tail >= 0 ? signalTail[tail] : null;
+            signalLine.push(signalValue);
+            histogram.push(signalValue === null ? null : line[j] - signalValue);
+        }
+        return {fast: fastLine, slow: slowLine, line: line, signal: signalLine, histogram: histogram};
+    }
+
+    function largestMagnitude(seriesList) {
+        var largest = 0;
+        for (var i = 0; i < seriesList.length; i += 1) {
+            for (var j = 0; j < seriesList[i].length; j += 1) {
+                if (seriesList[i][j] !== null && Math.abs(seriesList[i][j]) > largest) {
+                    largest = Math.abs(seriesList[i][j]);
+                }
+            }
+        }
+        return largest;
+    }
+
+    function hasValues(series) {
+        for (var i = 0; i < series.length; i += 1) {
+            if (series[i] !== null) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function seriesLiteral(series) {
+        var parts = [];
+        for (var i = 0; i < series.length; i += 1) {
+            parts.push(series[i] === null ? "null" : String(Math.round(series[i] * 10000) / 10000));
+        }
+        return "[" + parts.join(",") + "]";
+    }
+
+    /**
+     * Expression functions that recompute an indicator for the live candle from its price so far
+     * (`last`) and the values of the finished candles before it (`idx` is the live candle; `from`
+     * the first index `values` has a value at). Lines list the ones they call, in this order.
+     */
+    var LIVE_HELPERS = {
+        windowMean: 'function windowMean(values, period, from, last) {\n' +
+            '  if (idx - from < period - 1) return null;\n' +
+            '  var sum = last;\n' +
+            '  for (var j = idx - period + 1; j < idx; j++) sum += values[j];\n' +
+            '  return sum / period;\n' +
+            '}\n',
+        emaStep: 'function emaStep(values, averages, period, from, last) {\n' +
+            '  if (idx - from <= period - 1) return windowMean(values, period, from, last);\n' +
+            '  var k = 2 / (period + 1);\n' +
+            '  return last * k + averages[idx - 1] * (1 - k);\n' +
+            '}\n',
+        band: 'function band(values, period, deviations, last) {\n' +
+            '  var mean = windowMean(values, period, 0, last);\n' +
+            '  if (mean === null) return null;\n' +
+            '  var sum = (last - mean) * (last - mean);\n' +
+            '  for (var j = idx - period + 1; j < idx; j++) sum += (values[j] - mean) * (values[j] - mean);\n' +
+            '  return mean + deviations * Math.sqrt(sum / period);\n' +
+            '}\n',
+        rsiStep: 'function rsiStep(values, gains, losses, period, last) {\n' +
+            '  if (idx < period) return null;\n' +
+            '  var change = last - values[idx - 1];\n' +
+            '  var gain = change > 0 ? change : 0;\n' +
+            '  var loss = change < 0 ? -change : 0;\n' +
+            '  var g = idx === period ? gains[idx - 1] + gain / period : (gains[idx - 1] * (period - 1) + gain) / period;\n' +
+            '  var l = idx === period ? losses[idx - 1] + loss / period : (losses[idx - 1] * (period - 1) + loss) / period;\n' +
+            '  if (l === 0) return g === 0 ? 50 : 100;\n' +
+            '  return 100 - 100 / (1 + g / l);\n' +
+            '}\n',
+        // [line, signal, histogram]; the signal is an EMA of the line from its first value on
+        macdStep: 'function macdStep(last, fastPeriod, slowPeriod, signalPeriod) {\n' +
+            '  var fastLive = emaStep(closes, fast, fastPeriod, 0, last);\n' +
+            '  var slowLive = emaStep(closes, slow, slowPeriod, 0, last);\n' +
+            '  if (fastLive === null || slowLive === null) return [null, null, null];\n' +
+            '  var lineLive = fastLive - slowLive;\n' +
+            '  var signalLive = emaStep(line, signal, signalPeriod, slowPeriod - 1, lineLive);\n' +
+            '  return [lineLive, signalLive, signalLive === null ? null : lineLive - signalLive];\n' +
+            '}\n'
+    };
+
+    /**
+     * An indicator line: `values` per finished candle, and `live`, an expression for the live
+     * candle's value reading `live` (its price so far), the `arrays` baked in beside it and the
+     * LIVE_HELPERS named in `helpers`. A line without `live` stops at the last finished candle.
+     */
+    function movingAverageLine(type, closes, period) {
+        if (type === "EMA") {
+            var average = exponentialMovingAverage(closes, period);
+            return {values: average, live: 'emaStep(closes, average, ' + period + ', 0, live)',
+                arrays: {closes: closes, average: average}, helpers: ["windowMean", "emaStep"]};
+        }
+        // the window's mean with the live price for the close: the previous average plus
+        // (live - the close dropping out of the window) / period
+        return {values: simpleMovingAverage(closes, period), live: 'windowMean(closes, ' + period + ', 0, live)',
+            arrays: {closes: closes}, helpers: ["windowMean"]};
+    }
+
+    function bollingerLines(closes, period, deviations) {
+        var bands = bollingerBands(closes, period, deviations);
+        var lines = {};
+        var offsets = {upper: deviations, middle: 0, lower: -deviations};
+        for (var name in offsets) {
+            if (offsets.hasOwnProperty(name)) {
+                lines[name] = {values: bands[name], live: 'band(closes, ' + period + ', ' + offsets[name] + ', live)',
+                    arrays: {closes: closes}, helpers: ["windowMean", "band"]};
+            }
+        }
+        return lines;
+    }
+
+    function rsiLine(closes, period) {
+        var rsi = relativeStrengthIndex(closes, period);
+        return {values: rsi.values, live: 'rsiStep(closes, gains, losses, ' + period + ', live)',
+            arrays: {closes: closes, gains: rsi.gains, losses: rsi.losses}, helpers: ["rsiStep"]};
+    }
+
+    // The MACD line, signal line and histogram, all stepped together by macdStep.
+    function macdLines(closes, fast, slow, signal) {
+        var macd = macdSeries(closes, fast, slow, signal);
+        var arrays = {closes: closes, fast: macd.fast, slow: macd.slow, line: macd.line, signal: macd.signal};
+        var live = 'macdStep(live, ' + fast + ', ' + slow + ', ' + signal + ')';
+        var helpers = ["windowMean", "emaStep", "macdStep"];
+        return {
+            line: {values: macd.line, live: live + '[0]', arrays: arrays, helpers: helpers},
+            signal: {values: macd.signal, live: live + '[1]', arrays: arrays, helpers: helpers},
+            histogram: {values: macd.histogram, live: live + '[2]', arrays: arrays, helpers: helpers}
+        };
+    }
+
+    // Expression lines setting `live` to the price the live candle (`idx`, `frac` of the way
+    // through) shows, as its body draws it; null when that candle layer is missing.
+    function livePriceExpression() {
+        return 'var live = null;\n' +
+            'try {\n' +
+            '  var candle = thisComp.layer("Candle_" + ("00" + (idx + 1)).slice(-3));\n' +
+            '  var open = candle.effect("Open")("Slider");\n' +
+            '  var high = candle.effect("High")("Slider");\n' +
+            '  var low = candle.effect("Low")("Slider");\n' +
+            '  var close = candle.effect("Close")("Slider");\n' +
+            '  var segHigh = 0.28;\n' +
+            '  var segLow = 0.68;\n' +
+            '  var upSpan = Math.max(0.0001, segHigh);\n' +
+            '  var downSpan = Math.max(0.0001, segLow - segHigh);\n' +
+            '  var closeSpan = Math.max(0.0001, 1 - segLow);\n' +
+            '  function lerp(a, b, t) { return a + (b - a) * Math.max(0, Math.min(1, t)); }\n' +
+            '  function priceAt(p) {\n' +
+            '    if (p <= 0) return open;\n' +
+            '    if (p < segHigh) return lerp(open, high, p / upSpan);\n' +
+            '    if (p < segLow) return lerp(high, low, (p - segHigh) / downSpan);\n' +
+            '    if (p >= 1) return close;\n' +
+            '    return lerp(low, close, (p - segLow) / closeSpan);\n' +
+            '  }\n' +
+            '  live = priceAt(frac);\n' +
+            '} catch (err) {}\n';
+    }
+
+    // The `var` lines for the arrays and the LIVE_HELPERS a set of lines reads, each once.
+    function liveSupportExpression(lines) {
+        var arrays = {};
+        var helpers = {};
+        var text = '';
+        for (var i = 0; i < lines.length; i += 1) {
+            for (var name in lines[i].arrays || {}) {
+                if (lines[i].arrays.hasOwnProperty(name) && !arrays[name]) {
+                    arrays[name] = true;
+                    text += 'var ' + name + ' = ' + seriesLiteral(lines[i].arrays[name]) + ';\n';
+                }
+            }
+        }
+        for (var j = 0; j < lines.length; j += 1) {
+            for (var h = 0; lines[j].helpers && h < lines[j].helpers.length; h += 1) {
+                if (!helpers[lines[j].helpers[h]]) {
+                    helpers[lines[j].helpers[h]] = true;
+                    text += LIVE_HELPERS[lines[j].helpers[h]];
+                }
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Path expression tracing indicator lines up to "Current Second". Finished candles get a
+     * point each; the leading point sits on the live candle, recomputed from the price it shows
+     * as it forms. With two lines and `closed`, the second runs back under the first (a band).
+     * `scale` defines `top`, `valueMax` and `px` (pixels per unit) for the pane drawn in; the price
+     * pane by default.
+     */
+    function overlayPathExpression(lines, closed, scale) {
+        var literals = [];
+        var lives = [];
+        for (var i = 0; i < lines.length; i += 1) {
+            literals.push(seriesLiteral(lines[i].values));
+            lives.push(lines[i].live || 'null');
+        }
+        return 'var controls = thisComp.layer("Chart Controls");\n' +
+            'var series = [' + literals.join(",\n") + '];\n' +
+            liveSupportExpression(lines) +
+            'var left = controls.effect("Chart Left")("Slider");\n' +
+            'var candleWidth = controls.effect("Candle Width")("Slider");\n' +
+            'var step = candleWidth + controls.effect("Candle Gap")("Slider");\n' +
+            (scale || priceScaleExpression()) +
+            'var total = Math.max(1, controls.effect("Total Candles")("Slider"));\n' +
+            'var cursor = clamp(controls.effect("Current Second")("Slider"), 0, total - 0.001);\n' +
+            'var idx = Math.floor(cursor);\n' +
+            'var frac = cursor - idx;\n' +
+            livePriceExpression() +
+            'var leading = live === null ? [] : [' + lives.join(", ") + '];\n' +
+            'function pointAt(position, value) {\n' +
+            '  return [left + position * step + candleWidth / 2, top + (valueMax - value) * px];\n' +
+            '}\n' +
+            'function trace(s) {\n' +
+            '  var values = series[s];\n' +
+            '  var points = [];\n' +
+            '  for (var i = 0; i < idx && i < values.length; i++) {\n' +
+            '    if (values[i] !== null) points.push(pointAt(i, values[i]));\n' +
+            '  }\n' +
+            '  if (s < leading.length && leading[s] !== null) points.push(pointAt(idx, leading[s]));\n' +
+            '  return points;\n' +
+            '}\n' +
+            'var points = trace(0);\n' +
+            (closed ? 'points = points.concat(trace(1).reverse());\n' : '') +
+            'if (points.length === 0) points = [[left, top]];\n' +
+            'createPath(points, [], [], ' + (closed ? 'true' : 'false') + ');';
+    }
+
+    function priceScaleExpression() {
+        return 'var top = controls.effect("Chart Top")("Slider");\n' +
+            'var valueMax = controls.effect("Price Max")("Slider");\n' +
+            'var px = controls.effect("Price Scale")("Slider");\n';
+    }
+
+    // Maps the expression-valued range `minValue` to `maxValue` onto the height of a lower pane.
+    function paneScaleExpression(paneName, minValue, maxValue) {
+        return paneExpression(paneName) +
+            'var valueMax = ' + maxValue + ';\n' +
+            'var px = height / Math.max(0.0001, valueMax - (' + minValue + '));\n';
+    }
+
+    /**
+     * Histogram path for one sign of a line's values: a bar per finished candle drawn from the
+     * zero line, joined along it into one outline, with the live candle's bar recomputed from the
+     * price it shows as it forms.
+     */
+    function histogramPathExpression(line, sign, scale) {
+        return 'var controls = thisComp.layer("Chart Controls");\n' +
+            'var values = ' + seriesLiteral(line.values) + ';\n' +
+            liveSupportExpression([line]) +
+            'var left = controls.effect("Chart Left")("Slider");\n' +
+            'var candleWidth = controls.effect("Candle Width")("Slider");\n' +
+            'var step = candleWidth + controls.effect("Candle Gap")("Slider");\n' +
+            scale +
+            'var total = Math.max(1, controls.effect("Total Candles")("Slider"));\n' +
+            'var cursor = clamp(controls.effect("Current Second")("Slider"), 0, total - 0.001);\n' +
+            'var idx = Math.floor(cursor);\n' +
+            'var frac = cursor - idx;\n' +
+            livePriceExpression() +
+            'var leading = live === null ? null : ' + (line.live || 'null') + ';\n' +
+            'var zero = top + valueMax * px;\n' +
+            'var half = candleWidth / 2;\n' +
+            'var points = [];\n' +
+            'for (var i = 0; i <= idx && i < values.length; i++) {\n' +
+            '  var value = i < idx ? values[i] : leading;\n' +
+            '  if (value === null) continue;\n' +
+            '  value = ' + (sign > 0 ? 'Math.max(0, value)' : 'Math.min(0, value)') + ';\n' +
+            '  var x = left + i * step + candleWidth / 2;\n' +
+            '  var y = zero - value * px;\n' +
+            '  points.push([x - half, zero], [x - half, y], [x + half, y], [x + half, zero]);\n' +
+            '}\n' +
+            'if (points.length === 0) points = [[left, zero]];\n' +
+            'createPath(points, [], [], true);';
+    }
+
+    function addOverlayPath(contents, name, lines, closed, scale) {
+        var group = contents.addProperty("ADBE Vector Group");
+        group.name = name;
+        var path = group.property("ADBE Vectors Group").addProperty("ADBE Vector Shape - Group");
+        path.property("ADBE Vector Shape").expression = overlayPathExpression(lines, closed, scale);
+        return group;
+    }
+
+    function addOverlayStroke(group, colorName) {
+        var stroke = group.property("ADBE Vectors Group").addProperty("ADBE Vector Graphic - Stroke");
+        stroke.property("ADBE Vector Stroke Color").expression =
+            'thisComp.layer("Chart Controls").effect("' + colorName + '")("Color");';
+        stroke.property("ADBE Vector Stroke Width").expression =
+            'thisComp.layer("Chart Controls").effect("Overlay Line Width")("Slider");';
+        stroke.property("ADBE Vector Stroke Line Join").setValue(2); // round
+        return stroke;
+    }
+
+    // A full-comp shape layer for one overlay, shown while its "Show" checkbox is on.
+    function createOverlayLayer(name) {
+        var layer = comp.layers.addShape();
+        layer.name = name;
+        layer.inPoint = 0;
+        layer.outPoint = COMP_DURATION;
+        layer.property("Transform").property("Anchor Point").setValue([0, 0]);
+        layer.property("Transform").property("Position").setValue([0, 0]);
+        layer.property("Transform").property("Opacity").expression =
+            'thisComp.layer("Chart Controls").effect("Show ' + name + '")("Checkbox") > 0 ? 100 : 0;';
+        return layer;
+    }
+
+    // A caption pinned inside the top-left corner of a lower pane.
+    function createPaneLabel(paneName, text) {
+        var label = comp.layers.addText(text);
+        label.name = paneName + " Label";
+        label.inPoint = 0;
+        label.outPoint = COMP_DURATION;
+        var labelDoc = label.property("Source Text").value;
+        labelDoc.fontSize = 20;
+        labelDoc.fillColor = [0.6, 0.68, 0.78];
+        if (typeof ParagraphJustification !== "undefined") {
+            labelDoc.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+        label.property("Source Text").setValue(labelDoc);
+        label.property("Position").expression =
+            'var controls = thisComp.layer("Chart Controls");\n' +
+            'var left = controls.effect("Chart Left")("Slider");\n' +
+            paneExpression(paneName) +
+            '[left + 12, top + 26];';
+        return label;
+    }
+
+    /**
+     * Generate synthetic OHLC data, or load it from DATA_SOURCE
+     */
+    var data = [];
+    var dataFile = null;
+    var imported = null;
+    if (DATA_SOURCE.path) {
+        dataFile = new File(DATA_SOURCE.path);
+    } else if (DATA_SOURCE.promptForFile) {
+        dataFile = File.openDialog("Select OHLC data (CSV or JSON)", "OHLC data:*.csv;*.txt;*.json,All files:*.*");
+    }
+    var seed = SEED > 0 ? SEED : Math.floor(Math.random() * 999999) + 1;
+    try {
+        imported = dataFile ? loadCandles(dataFile) : null;
+        data = imported ? imported.candles : generateCandles(MARKET_MODEL, seed, NUM_CANDLES);
+    } catch (err) {
+        alert("Procedural Candlestick Chart: " + err.toString());
+        app.endUndoGroup();
+        return;
+    }
+    NUM_CANDLES = data.length;
+
+    var COMP_DURATION = NUM_CANDLES + 10; // leave buffer past final candle
+    var hasVolume = false;
     var minPrice = data[0].low;
     var maxPrice = data[0].high;
     for (var j = 0; j < data.length; j += 1) {
@@ -152,12 +1151,35 @@
         if (data[j].high > maxPrice) {
             maxPrice = data[j].high;
         }
+        if (typeof data[j].volume === "number") {
+            hasVolume = true;
+        }
+    }
+    if (VOLUME_PANE.enabled && !hasVolume) {
+        addSyntheticVolume(data, seed);
+        hasVolume = true;
+    }
+    var maxVolume = 0;
+    for (var mv = 0; mv < data.length; mv += 1) {
+        if (typeof data[mv].volume === "number" && data[mv].volume > maxVolume) {
+            maxVolume = data[mv].volume;
+        }
+    }
+    if (maxPrice - minPrice < 0.0001) {
+        // a flat series would divide by zero; give it a one percent band
+        var band = Math.max(0.01, Math.abs(maxPrice) * 0.01);
+        minPrice -= band;
+        maxPrice += band;
     }
 
     // chart layout metrics
     var chartTop = COMP_HEIGHT * 0.18;
     var chartBottom = COMP_HEIGHT * 0.88;
     var chartHeight = chartBottom - chartTop;
+    for (var pn = 0; pn < lowerPanes.length; pn += 1) {
+        lowerPanes[pn].height = (chartBottom - chartTop) * lowerPanes[pn].heightRatio;
+        chartHeight -= lowerPanes[pn].height + lowerPanes[pn].gap;
+    }
     var chartLeft = COMP_WIDTH * 0.1;
     var chartRight = COMP_WIDTH * 0.92;
     var chartWidth = chartRight - chartLeft;
@@ -165,6 +1187,19 @@
     var candleGap = Math.max(2, chartWidth / NUM_CANDLES * 0.2);
     var priceScale = chartHeight / (maxPrice - minPrice);
 
+    var comp = project.items.addComp(
+        imported ? "Candlestick Chart - " + File.decode(dataFile.name).replace(/\.[^.]*$/, "") : "Synthetic Candlestick Chart",
+        COMP_WIDTH,
+        COMP_HEIGHT,
+        1,
+        COMP_DURATION,
+        FRAME_RATE
+    );
+    if (!imported) {
+        // what it takes to draw this take again
+        comp.comment = "Model: " + MARKET_MODEL + ", seed: " + seed;
+    }
+
     /**
      * Background and grid
      */
@@ -203,6 +1238,10 @@
         'var height = controls.effect("Chart Height")("Slider");\n' +
         '[left + width / 2, top + height / 2];';
 
+    for (var lp = 0; lp < lowerPanes.length; lp += 1) {
+        createPaneBackground(gridContents, lowerPanes[lp].name);
+    }
+
     var majorColor = [0.22, 0.28, 0.36, 0.9];
     var minorColor = [0.13, 0.17, 0.24, 0.6];
 
@@ -219,6 +1258,21 @@
             }
         }
     }
+    if (VOLUME_PANE.enabled) {
+        createHorizontalLine(gridContents, 0.5, 1, minorColor, "Volume Mid", "Volume");
+    }
+    if (OSCILLATORS.rsi.enabled) {
+        var rsiConfig = OSCILLATORS.rsi;
+        createHorizontalLine(gridContents, 1 - rsiConfig.overbought / 100, 2, rsiConfig.guideColor, "RSI Overbought", "RSI");
+        createHorizontalLine(gridContents, 0.5, 1, minorColor, "RSI Mid", "RSI");
+        createHorizontalLine(gridContents, 1 - rsiConfig.oversold / 100, 2, rsiConfig.guideColor, "RSI Oversold", "RSI");
+    }
+    if (OSCILLATORS.macd.enabled) {
+        // the MACD pane is scaled symmetrically, so its middle is the zero line
+        createHorizontalLine(gridContents, 0.25, 1, minorColor, "MACD Upper", "MACD");
+        createHorizontalLine(gridContents, 0.5, 2, majorColor, "MACD Zero", "MACD");
+        createHorizontalLine(gridContents, 0.75, 1, minorColor, "MACD Lower", "MACD");
+    }
 
     var verticalMajorCount = 10;
     var verticalMinorDivisions = 3;
@@ -257,6 +1311,13 @@
     addSlider(controls, "Price Min", minPrice);
     addSlider(controls, "Price Max", maxPrice);
     addSlider(controls, "Price Scale", priceScale);
+    for (var ps = 0; ps < lowerPanes.length; ps += 1) {
+        addSlider(controls, lowerPanes[ps].name + " Height", lowerPanes[ps].height);
+        addSlider(controls, lowerPanes[ps].name + " Gap", lowerPanes[ps].gap);
+    }
+    if (VOLUME_PANE.enabled) {
+        addSlider(controls, "Volume Max", maxVolume);
+    }
     addColorControl(controls, "Bull Color", [0.1, 0.7, 0.35, 1]);
     addColorControl(controls, "Bear Color", [0.85, 0.2, 0.28, 1]);
     addColorControl(controls, "Wick Color", [0.9, 0.9, 0.95, 1]);
@@ -288,6 +1349,9 @@
         var candleLayer = comp.layers.addShape();
         candleLayer.name = "Candle_" + pad(c + 1, 3);
         candleLayer.label = 10; // blue
+        if (candle.date) {
+            candleLayer.comment = candle.date;
+        }
         candleLayer.inPoint = 0;
         candleLayer.outPoint = COMP_DURATION;
         candleLayer.property("Transform").property("Anchor Point").setValue([0, 0]);
@@ -312,6 +1376,9 @@
         addSlider(candleLayer, "High", candle.high);
         addSlider(candleLayer, "Low", candle.low);
         addSlider(candleLayer, "Close", candle.close);
+        if (hasVolume) {
+            addSlider(candleLayer, "Volume", typeof candle.volume === "number" ? candle.volume : 0);
+        }
 
         var candleContents = candleLayer.property("ADBE Root Vectors Group");
 
@@ -494,6 +1561,118 @@
             'var bull = controls.effect("Bull Color")("Color");\n' +
             'var bear = controls.effect("Bear Color")("Color");\n' +
             '(live >= open) ? bull : bear;';
+
+        if (VOLUME_PANE.enabled) {
+            // Volume group: grows from the bottom of the volume pane while the candle forms
+            var volumeGroup = candleContents.addProperty("ADBE Vector Group");
+            volumeGroup.name = "Volume";
+            var volumeShape = volumeGroup.property("ADBE Vectors Group").addProperty("ADBE Vector Shape - Rect");
+            volumeShape.property("ADBE Vector Rect Roundness").setValue(0);
+            var volumeHeightExpression =
+                'var controls = thisComp.layer("Chart Controls");\n' +
+                'var idx = thisLayer.effect("Candle Index")("Slider");\n' +
+                'var current = controls.effect("Current Second")("Slider");\n' +
+                'var progress = clamp(current - idx, 0, 1);\n' +
+                'var volume = thisLayer.effect("Volume")("Slider");\n' +
+                'var maxVolume = Math.max(1, controls.effect("Volume Max")("Slider"));\n' +
+                'var paneHeight = controls.effect("Volume Height")("Slider");\n' +
+                'var barHeight = Math.max(1, volume / maxVolume * paneHeight * progress);\n';
+            volumeShape.property("ADBE Vector Rect Position").expression =
+                volumeHeightExpression +
+                'var bottom = controls.effect("Chart Height")("Slider") + controls.effect("Volume Gap")("Slider") + paneHeight;\n' +
+                '[0, bottom - barHeight / 2];';
+            volumeShape.property("ADBE Vector Rect Size").expression =
+                volumeHeightExpression +
+                '[controls.effect("Candle Width")("Slider"), barHeight];';
+            var volumeFill = volumeGroup.property("ADBE Vectors Group").addProperty("ADBE Vector Graphic - Fill");
+            // same bull/bear choice as the body, so the bar always matches its candle
+            volumeFill.property("ADBE Vector Fill Color").expression = bodyFill.property("ADBE Vector Fill Color").expression;
+            volumeFill.property("ADBE Vector Fill Opacity").setValue(VOLUME_PANE.barOpacity);
+        }
+    }
+
+    /**
+     * Indicator overlays
+     */
+    var closes = closingPrices(data);
+    addSlider(controls, "Overlay Line Width", INDICATORS.lineWidth);
+    for (var ma = 0; ma < INDICATORS.movingAverages.length; ma += 1) {
+        var average = INDICATORS.movingAverages[ma];
+        var period = Math.max(1, Math.round(average.period));
+        var averageLine = movingAverageLine(average.type, closes, period);
+        if (!hasValues(averageLine.values)) {
+            continue; // more candles in the period than in the series
+        }
+        var averageName = (average.type === "EMA" ? "EMA " : "SMA ") + period;
+        addCheckbox(controls, "Show " + averageName, true);
+        addColorControl(controls, averageName + " Color", average.color);
+        var averageLayer = createOverlayLayer(averageName);
+        addOverlayStroke(addOverlayPath(averageLayer.property("ADBE Root Vectors Group"), "Line", [averageLine], false), averageName + " Color");
+    }
+
+    var bandsConfig = INDICATORS.bollinger;
+    var bands = bandsConfig.enabled ? bollingerLines(closes, Math.max(2, Math.round(bandsConfig.period)), bandsConfig.deviations) : null;
+    if (bands && hasValues(bands.middle.values)) {
+        addCheckbox(controls, "Show Bollinger Bands", true);
+        addColorControl(controls, "Bollinger Bands Color", bandsConfig.color);
+        var bandsLayer = createOverlayLayer("Bollinger Bands");
+        var bandsContents = bandsLayer.property("ADBE Root Vectors Group");
+        addOverlayStroke(addOverlayPath(bandsContents, "Upper", [bands.upper], false), "Bollinger Bands Color");
+        addOverlayStroke(addOverlayPath(bandsContents, "Middle", [bands.middle], false), "Bollinger Bands Color")
+            .property("ADBE Vector Stroke Opacity").setValue(60);
+        addOverlayStroke(addOverlayPath(bandsContents, "Lower", [bands.lower], false), "Bollinger Bands Color");
+        var bandFill = addOverlayPath(bandsContents, "Band Fill", [bands.upper, bands.lower], true)
+            .property("ADBE Vectors Group").addProperty("ADBE Vector Graphic - Fill");
+        bandFill.property("ADBE Vector Fill Color").expression =
+            'thisComp.layer("Chart Controls").effect("Bollinger Bands Color")("Color");';
+        bandFill.property("ADBE Vector Fill Opacity").setValue(bandsConfig.fillOpacity);
+    }
+
+    /**
+     * Oscillator panes
+     */
+    if (OSCILLATORS.rsi.enabled) {
+        var rsiPeriod = Math.max(2, Math.round(OSCILLATORS.rsi.period));
+        addCheckbox(controls, "Show RSI", true);
+        addColorControl(controls, "RSI Color", OSCILLATORS.rsi.color);
+        var rsiLayer = createOverlayLayer("RSI");
+        addOverlayStroke(addOverlayPath(rsiLayer.property("ADBE Root Vectors Group"), "Line",
+            [rsiLine(closes, rsiPeriod)], false, paneScaleExpression("RSI", "0", "100")), "RSI Color");
+        createPaneLabel("RSI", "RSI " + rsiPeriod);
+    }
+
+    if (OSCILLATORS.macd.enabled) {
+        var macdConfig = OSCILLATORS.macd;
+        var macdFast = Math.max(1, Math.round(macdConfig.fast));
+        var macdSlow = Math.max(macdFast + 1, Math.round(macdConfig.slow));
+        var macdSignal = Math.max(1, Math.round(macdConfig.signal));
+        var macd = macdLines(closes, macdFast, macdSlow, macdSignal);
+        // half the pane height either side of zero, with a little headroom
+        addSlider(controls, "MACD Range", Math.max(0.0001,
+            largestMagnitude([macd.line.values, macd.signal.values, macd.histogram.values]) * 1.1));
+        addCheckbox(controls, "Show MACD", true);
+        addColorControl(controls, "MACD Color", macdConfig.color);
+        addColorControl(controls, "Signal Color", macdConfig.signalColor);
+        var macdScale = paneScaleExpression("MACD", '-controls.effect("MACD Range")("Slider")',
+            'controls.effect("MACD Range")("Slider")');
+        var macdLayer = createOverlayLayer("MACD");
+        var macdContents = macdLayer.property("ADBE Root Vectors Group");
+        // contents draw top-down, so the lines go in ahead of the histogram bars
+        addOverlayStroke(addOverlayPath(macdContents, "MACD Line", [macd.line], false, macdScale), "MACD Color");
+        addOverlayStroke(addOverlayPath(macdContents, "Signal Line", [macd.signal], false, macdScale), "Signal Color");
+        var histogramGroups = [["Histogram Up", 1, "Bull Color"], ["Histogram Down", -1, "Bear Color"]];
+        for (var hg = 0; hg < histogramGroups.length; hg += 1) {
+            var histogramGroup = macdContents.addProperty("ADBE Vector Group");
+            histogramGroup.name = histogramGroups[hg][0];
+            var histogramVectors = histogramGroup.property("ADBE Vectors Group");
+            histogramVectors.addProperty("ADBE Vector Shape - Group").property("ADBE Vector Shape").expression =
+                histogramPathExpression(macd.histogram, histogramGroups[hg][1], macdScale);
+            var histogramFill = histogramVectors.addProperty("ADBE Vector Graphic - Fill");
+            histogramFill.property("ADBE Vector Fill Color").expression =
+                'thisComp.layer("Chart Controls").effect("' + histogramGroups[hg][2] + '")("Color");';
+            histogramFill.property("ADBE Vector Fill Opacity").setValue(macdConfig.barOpacity);
+        }
+        createPaneLabel("MACD", "MACD " + macdFast + " " + macdSlow + " " + macdSignal);
     }
 
     /**
@@ -742,4 +1921,23 @@
         '}';
 
     app.endUndoGroup();
+
+    if (imported && (imported.rejected.length || imported.repaired.length || imported.dropped)) {
+        var summary = ["Loaded " + data.length + " candle(s) from " + File.decode(dataFile.name) + "."];
+        if (imported.dropped) {
+            summary.push("Only the latest " + MAX_CANDLES + " are charted; " + imported.dropped + " earlier candle(s) were left out.");
+        }
+        if (imported.repaired.length) {
+            summary.push(imported.repaired.length + " row(s) had high/low stretched to cover open and close: " +
+                imported.repaired.slice(0, MAX_REPORTED_ISSUES).join(", ") + (imported.repaired.length > MAX_REPORTED_ISSUES ? ", ..." : ""));
+        }
+        if (imported.rejected.length) {
+            summary.push(imported.rejected.length + " row(s) skipped:");
+            summary = summary.concat(imported.rejected.slice(0, MAX_REPORTED_ISSUES));
+            if (imported.rejected.length > MAX_REPORTED_ISSUES) {
+                summary.push("...and " + (imported.rejected.length - MAX_REPORTED_ISSUES) + " more");
+            }
+        }
+        alert(summary.join("\n"));
+    }
 })();
@@ -1,12 +1,45 @@
 /**
  * Stock Ticker Builder
  * Creates a looping stock ticker bar with per-symbol coloring (green for gains, red for losses)
- * and continuously scrolling animation driven by slider controls.
+ * and continuously scrolling animation driven by slider controls. The crawl follows the speed slider
+ * over time, so speed keyframes and the eased start and stop ramps move it smoothly, and the whole
+ * bar can slide or wipe on and off.
+ * The panel exposes the comp, text and color settings plus an editable symbol table that starts
+ * from TICKER_DATA and can be filled from a quote file: CSV, a broker export, JSON, the newsroom
+ * feed or key=value text (see QUOTE_ADAPTERS). A drop folder a feed service writes to is checked
+ * for a newer file whenever the panel opens and before each build (see DATA_SOURCE). "Update
+ * Existing" refreshes a previously built ticker comp in place instead of adding another one.
+ * Before each build the quotes are checked (unusable values, negative prices, change, percent
+ * and previous close that disagree) and flagged rows can be fixed or skipped.
+ * Quotes may carry a list of recent prices, drawn as a small sparkline after the quote text, and
+ * a folder of logos named by symbol puts each company's logo (or a lettered badge) before it.
+ * Quotes tagged with a group (sector) are gathered behind a colored section-header chip, and can
+ * be sorted by symbol or by percent change inside their group.
+ * Fonts, colors, gap and the background stroke come from a theme: one of THEME_PRESETS or a JSON
+ * file, and "Apply to Existing" restyles a built ticker in place.
+ * For Premiere Pro editors, the speed, baseline, colors (see ESSENTIAL_CONTROLS) and each quote's
+ * text can be added to the comp's Essential Graphics panel, and "Export .mogrt..." saves it as a
+ * Motion Graphics template they can retime and recolor without After Effects.
+ * One run can also build every deliverable in OUTPUTS (full-frame bars, a vertical version, a
+ * lower third over alpha) with sizes scaled to each bar's height, and queue them for rendering
+ * with the output module templates and file-name pattern in RENDER_OUTPUT.
+ * Prices, changes and percentages follow NUMBER_FORMAT (separators, currency, precision, K/M/B).
+ * For crawls with hundreds of symbols, the single-layer render mode puts the whole crawl into one
+ * text layer colored by text animators instead of one layer and expression per symbol.
+ * Besides the crawl, the ticker can be a vertical roll (one quote at a time, sliding up after a
+ * hold) or a split-flap board (a grid whose characters flip to new values); all three styles are
+ * driven by sliders on the "Ticker Controller" null.
+ * The crawl can spotlight one symbol: it eases to a stop with that symbol centered, enlarged and
+ * boxed, holds, then picks up speed again (timing and target live on the controller too).
+ * A status strip can sit over the left end of the quotes: the market session, an "AS OF" time
+ * (both can come from the quote file) and an index line, with the crawl fading out beneath it.
+ * An optional news lane under the quotes crawls headlines (typed in or loaded from a text or JSON
+ * file, see NEWS_LANE) at its own speed, and "Breaking" mode swaps it for a highlighted alert.
  *
- * Drop this file into After Effects' Scripts folder (or run via File > Scripts > Run Script File)
- * to generate the ticker inside the active project.
+ * Drop this file into After Effects' ScriptUI Panels folder to dock it (Window > stock_ticker.jsx),
+ * or run it via File > Scripts > Run Script File to open it as a floating palette.
  */
-(function stockTickerBuilder() {
+(function stockTickerBuilder(thisObj) {
     var SCRIPT_NAME = "Stock Ticker Builder";
 
     var COMP_SETTINGS = {
@@ -17,6 +50,29 @@
         frameRate: 30
     };
 
+    // Deliverables built in one run instead of the single comp. The quote bar of each preset is
+    // `barHeight` px tall (the frame height when left out), and the panel's font size, gap, speed
+    // and other pixel sizes are scaled by barHeight over the panel's comp height. A bar shorter
+    // than its frame is nested in a frame-sized comp, `barBottom` px above the frame's bottom edge;
+    // presets with `alpha` go to the Render Queue with RENDER_OUTPUT.alphaTemplate.
+    var OUTPUTS = {
+        enabled: false, // build the enabled presets in place of the single comp
+        presets: [
+            {name: "HD", width: 1920, height: 180, enabled: true},
+            {name: "UHD", width: 3840, height: 360, enabled: true},
+            {name: "Vertical", width: 1080, height: 1920, barHeight: 200, barBottom: 320, enabled: true},
+            {name: "Lower Third", width: 1920, height: 1080, barHeight: 120, barBottom: 90, alpha: true, enabled: true}
+        ]
+    };
+
+    var RENDER_OUTPUT = {
+        enabled: false, // add the built comps to the Render Queue
+        template: "High Quality", // output module template
+        alphaTemplate: "High Quality with Alpha", // for presets with `alpha`
+        fileName: "{comp}_{width}x{height}", // also {preset} and {date} (YYYY-MM-DD); the template adds the extension
+        folder: "" // empty: the output module's default folder
+    };
+
     var TICKER_OPTIONS = {
         font: "ArialMT",
         fontSize: 64,
@@ -26,32 +82,334 @@
         rightPadding: 220,
         backgroundColor: [0.078, 0.094, 0.118],
         strokeColor: [0.173, 0.2, 0.241],
+        strokeWidth: 4,
         positiveColor: [0.301, 0.784, 0.412],
         negativeColor: [0.851, 0.305, 0.298],
-        neutralColor: [0.75, 0.75, 0.75]
+        neutralColor: [0.75, 0.75, 0.75],
+        style: "crawl", // "crawl" (right to left), "roll" (one quote at a time, sliding up) or "board" (split-flap grid)
+        renderMode: "layers", // crawl only: "layers" (one text layer per symbol) or "single" (one text layer for the whole crawl)
+        perfectLoop: false, // repeat symbols to fill the bar and snap the speed so the crawl loops at the comp's end
+        updateEffect: "flash", // how timed snapshots change a quote: "flash", "count" (count up) or "instant"
+        transitionDuration: 0.5, // seconds a flash or count-up lasts
+        flashColor: [1, 1, 1],
+        sparklineWidth: 120, // px; drawn after quotes that carry a `sparkline` price list
+        sparklineHeight: 0.4, // fraction of the bar height
+        sparklineGap: 16, // px between the quote text and its sparkline
+        sparklineStrokeWidth: 3,
+        logoFolder: "", // folder of logo images named by symbol (AAPL.png, BRK.B.svg); empty for no logos
+        logoHeight: 0.6, // fraction of the bar height
+        logoGap: 16, // px between a logo and its quote text
+        sortQuotes: "none", // order inside each group: "none" (as listed), "symbol" (A-Z) or "percent" (best first)
+        groupColors: {}, // header chip color per group name, e.g. {"Tech": [0.231, 0.51, 0.965]}; others use GROUP_PALETTE
+        headerTextColor: [1, 1, 1],
+        headerSize: 0.7, // header label size as a fraction of the font size
+        rollHold: 3, // seconds each quote stays before the roll moves on
+        rollTransition: 0.6, // seconds a roll slide takes
+        boardColumns: 2,
+        boardFont: "CourierNewPS-BoldMT", // monospaced, so the flaps line up
+        boardTileColor: [0.141, 0.157, 0.184],
+        flipDuration: 0.8, // seconds a board character takes to reach its new value
+        flipStagger: 0.04, // extra seconds per character, left to right
+        spotlight: false, // crawl with one layer per symbol: ease to a stop on spotlightSymbol, enlarge it, hold, resume
+        spotlightSymbol: "",
+        spotlightTime: 20, // seconds; the crawl stops the next time the symbol reaches "Spotlight X" after this
+        spotlightHold: 4, // seconds the crawl rests on the symbol
+        spotlightEase: 1.5, // seconds the crawl takes to slow to a stop, and again to get back up to speed
+        spotlightScale: 130, // percent the symbol grows to while it rests
+        spotlightColor: [1, 0.8, 0.2], // highlight box around the resting symbol
+        easeIn: 0, // seconds the crawl takes to get up to speed at the start of the comp
+        easeOut: 0, // seconds it takes to slow to a stop at the end
+        intro: "none", // how the whole bar comes on and goes off: "none", "slide" (up from below) or "wipe"
+        introDuration: 0.8, // seconds
+        outroDuration: 0.8, // seconds
+        essentialGraphics: false // link colors to the controller and add ESSENTIAL_CONTROLS plus quote text to the Essential Graphics panel
     };
 
+    var GROUP_PALETTE = [
+        [0.231, 0.51, 0.965],
+        [0.957, 0.62, 0.043],
+        [0.545, 0.361, 0.965],
+        [0.078, 0.722, 0.651],
+        [0.925, 0.282, 0.6]
+    ];
+
+    // Named looks for the panel's Theme menu; "Save Theme..." writes the same fields (THEME_FIELDS)
+    // to a JSON file and "Load Theme..." reads them back. The first matches TICKER_OPTIONS.
+    var THEME_PRESETS = [
+        {
+            name: "Dark Broadcast",
+            font: "ArialMT",
+            fontSize: 64,
+            tracking: 20,
+            gap: 140,
+            backgroundColor: [0.078, 0.094, 0.118],
+            strokeColor: [0.173, 0.2, 0.241],
+            strokeWidth: 4,
+            positiveColor: [0.301, 0.784, 0.412],
+            negativeColor: [0.851, 0.305, 0.298],
+            neutralColor: [0.75, 0.75, 0.75],
+            headerTextColor: [1, 1, 1]
+        },
+        {
+            name: "Light Finance",
+            font: "Arial-BoldMT",
+            fontSize: 60,
+            tracking: 0,
+            gap: 120,
+            backgroundColor: [0.965, 0.969, 0.976],
+            strokeColor: [0.82, 0.839, 0.871],
+            strokeWidth: 2,
+            positiveColor: [0.035, 0.561, 0.286],
+            negativeColor: [0.773, 0.129, 0.153],
+            neutralColor: [0.231, 0.259, 0.302],
+            headerTextColor: [1, 1, 1]
+        },
+        {
+            name: "High Contrast",
+            font: "Arial-BoldMT",
+            fontSize: 72,
+            tracking: 10,
+            gap: 160,
+            backgroundColor: [0, 0, 0],
+            strokeColor: [1, 1, 1],
+            strokeWidth: 6,
+            positiveColor: [0, 1, 0.4],
+            negativeColor: [1, 0.25, 0.25],
+            neutralColor: [1, 1, 1],
+            headerTextColor: [0, 0, 0]
+        }
+    ];
+
+    // Optional per-quote `snapshots: [{time: 45, price: 127.10, change: 7.10, percent: 0.0592}, ...]`
+    // change the quote at those comp times (seconds); the top-level values show from the start.
+    // An optional `sparkline: [188.2, 189.0, 190.4, ...]` of recent prices draws a small line chart
+    // after the quote, and an optional `group: "Tech"` gathers quotes under a section header.
+
+    // Each quote needs a price plus a previousClose, or change and/or percent (fraction, 0.005 = 0.5%).
+    // Missing values are derived; when all three are given they are checked against each other.
     var TICKER_DATA = [
-        {symbol: "AAPL", price: 190.95, change: 0.95, percent: 0.0050},
-        {symbol: "MSFT", price: 398.00, change: -2.00, percent: -0.0050},
-        {symbol: "NVDA", price: 126.00, change: 6.00, percent: 0.0500},
-        {symbol: "AMZN", price: 180.00, change: 0.00, percent: 0.0000},
-        {symbol: "GOOGL", price: 151.50, change: 1.50, percent: 0.0100},
-        {symbol: "TSLA", price: 242.50, change: -7.50, percent: -0.0300},
-        {symbol: "META", price: 510.00, change: 10.00, percent: 0.0200},
-        {symbol: "JPM", price: 149.25, change: -0.75, percent: -0.0050},
-        {symbol: "JNJ", price: 163.20, change: 3.20, percent: 0.0200},
-        {symbol: "BRK.B", price: 430.00, change: 0.00, percent: 0.0000},
-        {symbol: "SPY", price: 502.50, change: 2.50, percent: 0.0050},
-        {symbol: "V", price: 268.65, change: -1.35, percent: -0.0050},
-        {symbol: "AMD", price: 111.10, change: 1.10, percent: 0.0100},
-        {symbol: "NFLX", price: 582.00, change: -18.00, percent: -0.0300}
+        {symbol: "AAPL", price: 190.95, previousClose: 190.00},
+        {symbol: "MSFT", price: 398.00, previousClose: 400.00},
+        {symbol: "NVDA", price: 126.00, previousClose: 120.00},
+        {symbol: "AMZN", price: 180.00, previousClose: 180.00},
+        {symbol: "GOOGL", price: 151.50, previousClose: 150.00},
+        {symbol: "TSLA", price: 242.50, previousClose: 250.00},
+        {symbol: "META", price: 510.00, previousClose: 500.00},
+        {symbol: "JPM", price: 149.25, previousClose: 150.00},
+        {symbol: "JNJ", price: 163.20, previousClose: 160.00},
+        {symbol: "BRK.B", price: 430.00, previousClose: 430.00},
+        {symbol: "SPY", price: 502.50, previousClose: 500.00},
+        {symbol: "V", price: 268.65, previousClose: 270.00},
+        {symbol: "AMD", price: 111.10, previousClose: 110.00},
+        {symbol: "NFLX", price: 582.00, previousClose: 600.00}
     ];
 
-    if (!TICKER_DATA.length) {
-        alert("Stock Ticker Builder: No ticker data supplied.");
-        return;
-    }
+    var NUMBER_FORMAT = {
+        decimalSeparator: ".",
+        groupSeparator: ",", // "" for no grouping
+        currencySymbol: "", // shown on the price only, e.g. "$" or " €"
+        currencyPosition: "prefix", // "prefix" ($190.95) or "suffix" (190,95 €)
+        decimals: 2, // digits for price and change, or "auto" to keep small prices readable (0.000042)
+        symbolDecimals: {}, // per-symbol overrides, e.g. {"SHIB": 8, "BRK.A": 0}
+        percentDecimals: 2,
+        abbreviate: false, // show 1,000 and up as 1.23K / 4.56M / 7.89B / 1.01T
+        arrows: "triangles" // change glyphs, see ARROW_STYLES
+    };
+
+    var ARROW_STYLES = {
+        triangles: ["▲", "▼"],
+        arrows: ["↑", "↓"],
+        signs: ["+", "-"]
+    };
+
+    var ABBREVIATIONS = [
+        {size: 1e12, suffix: "T"},
+        {size: 1e9, suffix: "B"},
+        {size: 1e6, suffix: "M"},
+        {size: 1e3, suffix: "K"}
+    ];
+
+    var DATA_SOURCE = {
+        path: "", // quote file loaded into the symbol table when the panel opens
+        dropFolder: "", // folder a feed service writes quote files to; its newest file wins over `path`
+        percentUnits: "fraction", // "fraction" (0.005) or "percent" (0.5); values written with "%" are always percent
+        columns: {
+            symbol: ["symbol", "ticker", "sym", "code"],
+            price: ["price", "last", "last price", "close"],
+            previousClose: ["previous close", "previousclose", "prev close", "prior close", "prev"],
+            change: ["change", "chg", "net change", "net chg"],
+            percent: ["percent", "pct", "pct change", "percent change", "% change", "change %", "%"],
+            time: ["time", "comp time", "seconds", "at"], // snapshot time in seconds or [hh:]mm:ss
+            sparkline: ["sparkline", "spark", "recent prices", "intraday"], // prices separated by spaces, ";" or "|"
+            group: ["group", "sector", "section", "category"]
+        },
+        // Market status for the status strip: keys of a JSON file's top-level object (or its first
+        // quote), or CSV columns whose first filled cell is used.
+        status: {
+            asOf: ["as of", "asof", "timestamp", "updated", "last updated", "quote time"],
+            session: ["session", "market status", "market session", "status", "state"]
+        }
+    };
+
+    // The newsroom feed dump: a JSON object with its instruments under `list`. `fields` gives the
+    // dotted path to each quote value inside an instrument; `asOf` and `session` are paths from the top.
+    var NEWSROOM_FEED = {
+        list: "feed.instruments",
+        fields: {
+            symbol: "ticker",
+            price: "quote.last",
+            previousClose: "quote.previousClose",
+            change: "quote.netChange",
+            percent: "quote.percentChange",
+            sparkline: "intraday",
+            group: "sector"
+        },
+        asOf: "feed.generatedAt",
+        session: "feed.marketSession",
+        percentUnits: "percent"
+    };
+
+    // Broker position exports: account details above the header, totals and cash rows among the
+    // positions, and column names of their own (read on top of DATA_SOURCE.columns).
+    var BROKER_CSV = {
+        headerSearchRows: 20,
+        skipSymbols: ["total", "totals", "account total", "cash", "cash & cash investments", "pending activity", "--"],
+        columns: {
+            price: ["market price", "current price", "last price $", "price $"],
+            previousClose: ["prior close", "previous day close"],
+            change: ["price change $", "price chng $", "day change $", "today's change"],
+            percent: ["price change %", "price chng %", "day change %", "today's change %"]
+        }
+    };
+
+    // Quote file formats, tried in order: the first whose `detect` accepts a file reads it into raw
+    // records (checked and normalized by addQuotes) plus any "as of" / session values. A new source
+    // only needs an entry here.
+    var QUOTE_ADAPTERS = [
+        {name: "newsroom feed", extensions: ["json"], detect: isNewsroomFeed, read: readNewsroomFeed},
+        {name: "JSON", extensions: ["json"], detect: isJsonQuotes, read: readJsonQuotes},
+        {name: "key=value text", extensions: ["txt", "kv"], detect: isKeyValueText, read: readKeyValueQuotes},
+        {name: "broker CSV", extensions: ["csv"], detect: isBrokerCsv, read: readBrokerCsv},
+        {name: "CSV", extensions: ["csv", "txt"], detect: function () { return true; }, read: readCsvQuotes}
+    ];
+
+    // Optional second lane under the quotes: a crawl of text headlines with its own speed, font and
+    // color. Headlines can also come from a text file (one per line) or a JSON list.
+    var NEWS_LANE = {
+        enabled: false,
+        path: "", // headline file loaded when the panel opens
+        headlines: [
+            "Markets open mixed as investors weigh rate outlook",
+            "Chipmakers extend rally on strong data-center demand",
+            "Oil steadies after weekly inventory draw"
+        ],
+        height: 80, // px added below the quote lane
+        font: "Arial-BoldMT",
+        fontSize: 40,
+        color: [0.93, 0.93, 0.93],
+        scrollSpeed: 180,
+        separator: "     ◆     ",
+        breaking: false, // "Breaking" mode: the alert replaces the headlines from breakingStart for breakingDuration
+        breakingLabel: "BREAKING",
+        breakingText: "",
+        breakingStart: 10, // seconds
+        breakingDuration: 20, // seconds
+        breakingColor: [0.78, 0.09, 0.11],
+        breakingTextColor: [1, 1, 1]
+    };
+
+    // Optional fixed panel over the left end of the quote lane: a session badge, an "AS OF" time
+    // and an index summary line. The time and session can come from the quote file (see
+    // DATA_SOURCE.status); quotes slide under the panel and fade out along its right edge.
+    var STATUS_STRIP = {
+        enabled: false,
+        // Shown as "AS OF <asOf>". ISO date-times from a file become "HH:MM" plus timeZone, or plus
+        // the offset they carry ("Z" as "UTC", "-04:00" as "UTC-4"), which is left as given.
+        asOf: "",
+        timeZone: "ET",
+        session: "", // "pre", "open", "closed", "halted", or "" for no badge
+        indexSymbol: "", // a symbol from the list summarized under the badge, e.g. "SPY"
+        font: "Arial-BoldMT",
+        fontSize: 28,
+        padding: 24, // px between the panel's edges and its contents
+        fadeWidth: 80, // px right of the panel over which quotes fade out (to transparent, so any background shows)
+        textColor: [0.85, 0.85, 0.85],
+        badgeTextColor: [1, 1, 1],
+        sessions: {
+            pre: {label: "PRE", color: [0.91, 0.6, 0.09], aliases: ["pre", "premarket", "pre market", "pre open"]},
+            open: {label: "OPEN", color: [0.133, 0.6, 0.31], aliases: ["open", "regular", "trading", "market open"]},
+            closed: {label: "CLOSED", color: [0.38, 0.41, 0.45], aliases: ["closed", "close", "after hours", "post", "post market", "market closed"]},
+            halted: {label: "HALTED", color: [0.78, 0.09, 0.11], aliases: ["halted", "halt", "suspended", "trading halted"]}
+        }
+    };
+
+    var MAX_REPORTED_ISSUES = 20;
+    var CONSISTENCY_TOLERANCE = 0.0005; // how far change (as a share of price) and percent may disagree
+    var CONTROLLER_NAME = "Ticker Controller";
+    var QUOTE_SUFFIX = " Quote";
+    var SPARKLINE_SUFFIX = " Sparkline";
+    var LOGO_SUFFIX = " Logo";
+    var HEADER_SUFFIX = " Header";
+    var HEADER_CHIP_SUFFIX = " Header Chip";
+    var BOARD_SUFFIX = " Board";
+    var BOARD_TILES_NAME = "Board Tiles";
+    var FLAP_CHARACTERS = " ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.,$€£¥%+-()▲▼↑↓•"; // the order a flap turns through
+    var LOGO_FOLDER_NAME = "Ticker Logos"; // project folder for imported logos and badges
+    var LOGO_EXTENSIONS = ["png", "svg", "ai", "psd", "jpg", "jpeg", "tif", "tiff"];
+    var CRAWL_NAME = "Ticker Crawl";
+    var CRAWL_COLOR_ANIMATORS = ["Positive Color", "Negative Color"];
+    var NEWS_CRAWL_NAME = "News Crawl";
+    var BREAKING_BAND_NAME = "Breaking Band";
+    var BREAKING_ALERT_NAME = "Breaking Alert";
+    var SPOTLIGHT_BOX_NAME = "Spotlight Box";
+    var BAR_TRANSITION_NAME = "Bar Transition";
+    var STATUS_PANEL_NAME = "Status Panel";
+    var STATUS_SESSION_NAME = "Status Session";
+    var STATUS_TIME_NAME = "Status Time";
+    var STATUS_INDEX_NAME = "Status Index";
+    var STATUS_FADE_MASK = "Status Fade";
+    // Controller sliders each lane scrolls by, so the quotes and the headlines loop independently;
+    // only the quote lane stops for a spotlight.
+    var QUOTE_LANE = {
+        speed: "Scroll Speed (px/s)",
+        start: "Start Offset",
+        cycle: "Cycle Width",
+        baseline: "Baseline Y",
+        distance: "Scroll Distance",
+        spotlight: true
+    };
+    var NEWS_LANE_SLIDERS = {
+        speed: "News Speed (px/s)",
+        start: "News Start Offset",
+        cycle: "News Cycle Width",
+        baseline: "News Baseline Y",
+        distance: "News Distance"
+    };
+    var THEME_FIELDS = ["font", "fontSize", "tracking", "gap", "backgroundColor", "strokeColor", "strokeWidth",
+        "positiveColor", "negativeColor", "neutralColor", "headerTextColor"];
+    var THEME_COLOR_TOLERANCE = 0.01; // how close a text color must be to the old theme's to be swapped
+    // Pixel sizes an output preset scales with its bar height, in the options, the news lane and
+    // the status strip. Fractions of the bar height (logo, sparkline) follow the comp by themselves.
+    var SCALED_OPTIONS = ["fontSize", "gap", "scrollSpeed", "rightPadding", "strokeWidth", "sparklineWidth",
+        "sparklineGap", "sparklineStrokeWidth", "logoGap"];
+    var SCALED_NEWS_OPTIONS = ["height", "fontSize", "scrollSpeed"];
+    var SCALED_STATUS_OPTIONS = ["fontSize", "padding", "fadeWidth"];
+    // Controller properties offered in the Essential Graphics panel (and so in an exported .mogrt),
+    // under the names editors see in Premiere Pro, for the styles they drive. Entries with a `color`
+    // are color controls the builder adds, filled from that option.
+    var ESSENTIAL_CONTROLS = [
+        {effect: "Scroll Speed (px/s)", name: "Crawl Speed (px/s)", styles: ["crawl"]},
+        {effect: "Hold (s)", name: "Hold Each Quote (s)", styles: ["roll"]},
+        {effect: "Transition (s)", name: "Roll Slide (s)", styles: ["roll"]},
+        {effect: "Flip Duration (s)", name: "Flip Time (s)", styles: ["board"]},
+        {effect: "Baseline Y", name: "Text Baseline (px)", styles: ["crawl", "roll"]},
+        {effect: "News Speed (px/s)", name: "Headline Speed (px/s)", styles: ["crawl", "roll", "board"]},
+        {effect: "Positive Color", name: "Gain Color", styles: ["crawl", "roll"], color: "positiveColor"},
+        {effect: "Negative Color", name: "Loss Color", styles: ["crawl", "roll"], color: "negativeColor"},
+        {effect: "Neutral Color", name: "Unchanged Color", styles: ["crawl", "roll"], color: "neutralColor"},
+        {effect: "Background Color", name: "Bar Color", styles: ["crawl", "roll", "board"], color: "backgroundColor"}
+    ];
+    var TICKER_TAG = "[Stock Ticker Builder]"; // stored in the comp comment so update mode can find it again
 
     function addSlider(layer, name, value) {
         var effectGroup = layer.property("ADBE Effect Parade");
@@ -71,16 +429,63 @@
         return slider;
     }
 
-    function formatTicker(item, includeBullet) {
+    function resolveDecimals(value, decimals) {
+        if (decimals !== "auto") {
+            return decimals;
+        }
+        // Two decimals from 1 up; below that, enough to keep two significant digits (0.000042).
+        var magnitude = Math.abs(value);
+        if (magnitude === 0 || magnitude >= 1) {
+            return 2;
+        }
+        return Math.min(10, Math.max(2, 1 - Math.floor(Math.log(magnitude) / Math.LN10)));
+    }
+
+    function formatNumber(value, decimals, format) {
+        var places = resolveDecimals(value, decimals);
+        var suffix = "";
+        if (format.abbreviate) {
+            for (var i = 0; i < ABBREVIATIONS.length; i++) {
+                if (Math.abs(value) >= ABBREVIATIONS[i].size) {
+                    value = value / ABBREVIATIONS[i].size;
+                    suffix = ABBREVIATIONS[i].suffix;
+                    places = Math.min(places, 2);
+                    break;
+                }
+            }
+        }
+        var fixed = Math.abs(value).toFixed(places);
+        var dot = fixed.indexOf(".");
+        var whole = dot >= 0 ? fixed.substring(0, dot) : fixed;
+        var fraction = dot >= 0 ? fixed.substring(dot + 1) : "";
+        if (format.groupSeparator) {
+            whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, format.groupSeparator);
+        }
+        var text = whole + (fraction.length ? format.decimalSeparator + fraction : "") + suffix;
+        return value < 0 ? "-" + text : text;
+    }
+
+    function formatPrice(value, decimals, format) {
+        var text = formatNumber(value, decimals, format);
+        if (!format.currencySymbol) {
+            return text;
+        }
+        return format.currencyPosition === "suffix" ? text + format.currencySymbol : format.currencySymbol + text;
+    }
+
+    function formatTicker(item, includeBullet, format) {
+        format = format || NUMBER_FORMAT;
+        var arrows = ARROW_STYLES.hasOwnProperty(format.arrows) ? ARROW_STYLES[format.arrows] : ARROW_STYLES.triangles;
+        var decimals = format.symbolDecimals.hasOwnProperty(item.symbol) ? format.symbolDecimals[item.symbol] : format.decimals;
         var arrow = "";
         if (item.change > 0) {
-            arrow = "▲";
+            arrow = arrows[0];
         } else if (item.change < 0) {
-            arrow = "▼";
+            arrow = arrows[1];
         }
 
-        var priceText = item.price.toFixed(2);
-        var deltaAbs = Math.abs(item.change).toFixed(2);
+        var priceText = formatPrice(item.price, decimals, format);
+        var deltaAbs = formatNumber(Math.abs(item.change), decimals, format);
         var changeText;
         if (arrow !== "") {
             changeText = arrow + deltaAbs;
@@ -88,7 +493,7 @@
             changeText = deltaAbs;
         }
 
-        var percentAbs = Math.abs(item.percent * 100).toFixed(2);
+        var percentAbs = formatNumber(Math.abs(item.percent * 100), format.percentDecimals, format);
         var percentPrefix = "";
         if (item.percent > 0) {
             percentPrefix = "+";
@@ -104,131 +509,4900 @@
         return label;
     }
 
-    app.beginUndoGroup(SCRIPT_NAME);
-    try {
-        if (!app.project) {
-            app.newProject();
+    function indexOf(list, value) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i] === value) {
+                return i;
+            }
         }
+        return -1;
+    }
 
-        var project = app.project;
-        var comp = project.items.addComp(
-            COMP_SETTINGS.name,
-            COMP_SETTINGS.width,
-            COMP_SETTINGS.height,
-            1,
-            COMP_SETTINGS.duration,
-            COMP_SETTINGS.frameRate
-        );
-        comp.bgColor = TICKER_OPTIONS.backgroundColor;
+    function trimString(text) {
+        return String(text).replace(/^\s+|\s+$/g, "");
+    }
 
-        var backgroundLayer = comp.layers.addShape();
-        backgroundLayer.name = "Ticker Background";
-        var contents = backgroundLayer.property("Contents");
-        var container = contents.addProperty("ADBE Vector Group");
-        container.name = "Background";
-        var shapes = container.property("Contents");
-        var rectShape = shapes.addProperty("ADBE Vector Shape - Rect");
-        rectShape.property("ADBE Vector Rect Size").setValue([COMP_SETTINGS.width, COMP_SETTINGS.height]);
-        rectShape.property("ADBE Vector Rect Position").setValue([0, 0]);
-        var fill = shapes.addProperty("ADBE Vector Graphic - Fill");
-        fill.property("ADBE Vector Fill Color").setValue([
-            TICKER_OPTIONS.backgroundColor[0],
-            TICKER_OPTIONS.backgroundColor[1],
-            TICKER_OPTIONS.backgroundColor[2],
-            TICKER_OPTIONS.backgroundColor.length > 3 ? TICKER_OPTIONS.backgroundColor[3] : 1
-        ]);
-        var stroke = shapes.addProperty("ADBE Vector Graphic - Stroke");
-        stroke.property("ADBE Vector Stroke Color").setValue([
-            TICKER_OPTIONS.strokeColor[0],
-            TICKER_OPTIONS.strokeColor[1],
-            TICKER_OPTIONS.strokeColor[2],
-            TICKER_OPTIONS.strokeColor.length > 3 ? TICKER_OPTIONS.strokeColor[3] : 1
-        ]);
-        stroke.property("ADBE Vector Stroke Width").setValue(4);
-        backgroundLayer.moveToEnd();
+    function readTextFile(file) {
+        if (!file.exists) {
+            throw new Error("File not found: " + file.fsName);
+        }
+        file.encoding = "UTF-8";
+        if (!file.open("r")) {
+            throw new Error("Unable to open file: " + file.fsName);
+        }
+        var text = file.read();
+        file.close();
+        return text.replace(/^\uFEFF/, "");
+    }
 
-        var controlLayer = comp.layers.addNull();
-        controlLayer.name = "Ticker Controller";
-        controlLayer.label = 9; // light green for visibility
-        controlLayer.property("ADBE Transform Group").property("Position").setValue([0, 0]);
+    function writeTextFile(file, text) {
+        file.encoding = "UTF-8";
+        if (!file.open("w")) {
+            throw new Error("Unable to write file: " + file.fsName);
+        }
+        file.write(text);
+        file.close();
+    }
 
-        var speedControl = addSlider(controlLayer, "Scroll Speed (px/s)", TICKER_OPTIONS.scrollSpeed);
-        var startOffsetControl = addSlider(controlLayer, "Start Offset", 0);
-        var cycleControl = addSlider(controlLayer, "Cycle Width", 1);
-        var rightEdge = COMP_SETTINGS.width + TICKER_OPTIONS.rightPadding;
-        var rightEdgeControl = addSlider(controlLayer, "Right Edge", rightEdge);
-        var baselineControl = addSlider(controlLayer, "Baseline Y", COMP_SETTINGS.height / 2);
+    function parseJson(text) {
+        if (typeof JSON !== "undefined" && JSON.parse) {
+            return JSON.parse(text);
+        }
+        // ExtendScript has no JSON object; only evaluate text that is shaped like JSON.
+        var stripped = text
+            .replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, "@")
+            .replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g, "]")
+            .replace(/(?:^|:|,)(?:\s*\[)+/g, "");
+        if (!/^[\],:{}\s]*$/.test(stripped)) {
+            throw new Error("Invalid JSON");
+        }
+        return eval("(" + text + ")");
+    }
 
-        var totalWidth = 0;
+    function detectDelimiter(text) {
+        var firstLine = text.split(/\r\n|\r|\n/)[0];
+        var candidates = [",", ";", "\t"];
+        var best = ",";
+        var bestCount = 0;
+        for (var i = 0; i < candidates.length; i++) {
+            var count = firstLine.split(candidates[i]).length - 1;
+            if (count > bestCount) {
+                best = candidates[i];
+                bestCount = count;
+            }
+        }
+        return best;
+    }
 
-        for (var i = 0; i < TICKER_DATA.length; i++) {
-            var includeBullet = i !== TICKER_DATA.length - 1;
-            var label = formatTicker(TICKER_DATA[i], includeBullet);
-
-            var textLayer = comp.layers.addText(label);
-            textLayer.name = TICKER_DATA[i].symbol + " Quote";
-            textLayer.moveBefore(controlLayer);
-
-            var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
-            var textDocument = textProp.value;
-            textDocument.font = TICKER_OPTIONS.font;
-            textDocument.fontSize = TICKER_OPTIONS.fontSize;
-            textDocument.applyFill = true;
-            if (TICKER_DATA[i].change > 0) {
-                textDocument.fillColor = TICKER_OPTIONS.positiveColor;
-            } else if (TICKER_DATA[i].change < 0) {
-                textDocument.fillColor = TICKER_OPTIONS.negativeColor;
+    function parseCsv(text) {
+        var delimiter = detectDelimiter(text);
+        var rows = [];
+        var row = [];
+        var field = "";
+        var inQuotes = false;
+        var line = 1;
+        var rowLine = 1;
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if (inQuotes) {
+                if (ch === "\"") {
+                    if (text.charAt(i + 1) === "\"") {
+                        field += "\"";
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    if (ch === "\n") {
+                        line++;
+                    }
+                    field += ch;
+                }
+            } else if (ch === "\"") {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = "";
+            } else if (ch === "\r" || ch === "\n") {
+                if (ch === "\r" && text.charAt(i + 1) === "\n") {
+                    i++;
+                }
+                row.push(field);
+                row.line = rowLine;
+                rows.push(row);
+                row = [];
+                field = "";
+                line++;
+                rowLine = line;
             } else {
-                textDocument.fillColor = TICKER_OPTIONS.neutralColor;
+                field += ch;
             }
-            textDocument.applyStroke = false;
-            textDocument.tracking = TICKER_OPTIONS.tracking;
-            if (typeof ParagraphJustification !== "undefined") {
-                textDocument.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+        if (inQuotes) {
+            throw new Error("Unterminated quoted field starting on line " + rowLine);
+        }
+        if (field.length || row.length) {
+            row.push(field);
+            row.line = rowLine;
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    function normalizeKey(name) {
+        return trimString(name).toLowerCase().replace(/[\s_\-]+/g, " ");
+    }
+
+    function findColumn(aliases, keys) {
+        for (var a = 0; a < aliases.length; a++) {
+            var alias = normalizeKey(aliases[a]);
+            for (var k = 0; k < keys.length; k++) {
+                if (normalizeKey(keys[k]) === alias) {
+                    return k;
+                }
             }
-            textProp.setValue(textDocument);
+        }
+        return -1;
+    }
 
-            var rect = textLayer.sourceRectAtTime(0, false);
-            textLayer.property("ADBE Transform Group").property("Anchor Point").setValue([
-                rect.left,
-                rect.top + rect.height / 2
-            ]);
-            textLayer.property("ADBE Transform Group").property("Position").setValue([
-                rightEdge - totalWidth,
-                COMP_SETTINGS.height / 2
-            ]);
+    function parseNumber(raw) {
+        if (raw === null || raw === undefined) {
+            return null;
+        }
+        if (typeof raw === "number") {
+            return raw;
+        }
+        var text = trimString(raw);
+        if (!text.length || /^(n\/a|na|null|-+)$/i.test(text)) {
+            return null;
+        }
+        var negative = false;
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.substring(1, text.length - 1);
+        }
+        text = text.replace(/[$€£¥\s]/g, "").replace(/^\+/, "");
+        if (text.lastIndexOf(",") > text.lastIndexOf(".") && !/^-?\d{1,3}(,\d{3})+$/.test(text)) {
+            // "1.234,56" or "0,5": the comma is the decimal separator
+            text = text.replace(/\./g, "").replace(",", ".");
+        } else {
+            text = text.replace(/,/g, "");
+        }
+        if (!/^-?(\d+\.?\d*|\.\d+)([eE][+\-]?\d+)?$/.test(text)) {
+            return NaN;
+        }
+        var value = parseFloat(text);
+        return negative ? -value : value;
+    }
 
-            var baseOffset = addSlider(textLayer, "Base Offset", totalWidth);
-            baseOffset.setValue(totalWidth);
-
-            var expression =
-                'var ctrl = thisComp.layer("Ticker Controller");\n' +
-                'var speed = ctrl.effect("Scroll Speed (px/s)")("Slider");\n' +
-                'var span = Math.max(1, ctrl.effect("Cycle Width")("Slider"));\n' +
-                'var rightEdge = ctrl.effect("Right Edge")("Slider");\n' +
-                'var baseline = ctrl.effect("Baseline Y")("Slider");\n' +
-                'var start = ctrl.effect("Start Offset")("Slider");\n' +
-                'var base = effect("Base Offset")("Slider");\n' +
-                'var travel = (base + start + speed * time) % span;\n' +
-                'if (travel < 0) travel += span;\n' +
-                'var x = rightEdge - travel;\n' +
-                '[x, baseline];';
-            textLayer.property("ADBE Transform Group").property("Position").expression = expression;
-
-            var entryWidth = rect.width + TICKER_OPTIONS.gap;
-            totalWidth += entryWidth;
+    function parsePercent(raw, units) {
+        var hasSign = typeof raw === "string" && /%\s*\)?\s*$/.test(raw);
+        var value = parseNumber(hasSign ? raw.replace("%", "") : raw);
+        if (value === null || isNaN(value)) {
+            return value;
+        }
+        return (hasSign || units === "percent") ? value / 100 : value;
+    }
+
+    function parseTime(raw) {
+        if (raw === null || raw === undefined) {
+            return null;
+        }
+        if (typeof raw === "number") {
+            return raw;
+        }
+        var text = trimString(raw);
+        if (!text.length) {
+            return null;
+        }
+        var match = /^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/.exec(text);
+        if (match) {
+            return (match[1] ? parseInt(match[1], 10) * 3600 : 0) + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+        }
+        return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+    }
+
+    function parseSparkline(raw) {
+        if (raw === null || raw === undefined) {
+            return null;
+        }
+        var parts = raw instanceof Array ? raw : trimString(String(raw)).split(/[\s;|]+/);
+        var prices = [];
+        for (var i = 0; i < parts.length; i++) {
+            var value = parseNumber(parts[i]);
+            if (value === null) {
+                continue;
+            }
+            if (isNaN(value)) {
+                return NaN;
+            }
+            prices.push(value);
         }
+        return prices.length ? prices : null;
+    }
 
-        cycleControl.setValue(totalWidth);
+    /**
+     * Fills in whichever of change and percent is missing (null): from the previous close when
+     * there is one, otherwise from the other value. Returns null when neither can be worked out.
+     */
+    function deriveChange(price, change, percent, previousClose) {
+        if (previousClose !== null) {
+            var delta = price - previousClose;
+            return {
+                change: change === null ? delta : change,
+                percent: percent === null ? (previousClose !== 0 ? delta / previousClose : 0) : percent
+            };
+        }
+        if (change === null && percent === null) {
+            return null;
+        }
+        if (change === null) {
+            change = price - price / (1 + percent);
+        } else if (percent === null) {
+            var previous = price - change;
+            percent = previous !== 0 ? change / previous : 0;
+        }
+        return {change: change, percent: percent};
+    }
 
-        comp.openInViewer();
-    } catch (err) {
-        var message = SCRIPT_NAME + " error: " + err.toString();
-        if (err.line) {
-            message += " (line " + err.line + ")";
+    function normalizeQuote(raw, rowLabel, report, percentUnits) {
+        var symbol = trimString(raw.symbol === null || raw.symbol === undefined ? "" : raw.symbol).toUpperCase();
+        if (!symbol.length) {
+            report.errors.push(rowLabel + ": missing symbol");
+            return null;
         }
-        alert(message);
-    } finally {
-        app.endUndoGroup();
+        var price = parseNumber(raw.price);
+        if (price === null) {
+            report.errors.push(rowLabel + " (" + symbol + "): missing price");
+            return null;
+        }
+        if (isNaN(price)) {
+            report.errors.push(rowLabel + " (" + symbol + "): price \"" + raw.price + "\" is not a number");
+            return null;
+        }
+        var change = parseNumber(raw.change);
+        if (change !== null && isNaN(change)) {
+            report.errors.push(rowLabel + " (" + symbol + "): change \"" + raw.change + "\" is not a number");
+            return null;
+        }
+        var percent = parsePercent(raw.percent, percentUnits);
+        if (percent !== null && isNaN(percent)) {
+            report.errors.push(rowLabel + " (" + symbol + "): percent \"" + raw.percent + "\" is not a number");
+            return null;
+        }
+        var previousClose = parseNumber(raw.previousClose);
+        if (previousClose !== null && isNaN(previousClose)) {
+            report.errors.push(rowLabel + " (" + symbol + "): previous close \"" + raw.previousClose + "\" is not a number");
+            return null;
+        }
+        var time = parseTime(raw.time);
+        if (time !== null && isNaN(time)) {
+            report.errors.push(rowLabel + " (" + symbol + "): time \"" + raw.time + "\" is not seconds or [hh:]mm:ss");
+            return null;
+        }
+
+        var derived = deriveChange(price, change, percent, previousClose);
+        if (!derived) {
+            report.warnings.push(rowLabel + " (" + symbol + "): no change, percent or previous close, shown as unchanged");
+            derived = {change: 0, percent: 0};
+        }
+
+        var quote = {symbol: symbol, price: price, change: derived.change, percent: derived.percent, time: time === null ? 0 : time};
+        if (previousClose !== null) {
+            quote.previousClose = previousClose;
+        }
+        var sparkline = parseSparkline(raw.sparkline);
+        if (sparkline !== null && !(sparkline instanceof Array)) {
+            report.warnings.push(rowLabel + " (" + symbol + "): sparkline \"" + raw.sparkline + "\" is not a list of prices, left out");
+        } else if (sparkline && sparkline.length < 2) {
+            report.warnings.push(rowLabel + " (" + symbol + "): sparkline needs at least two prices, left out");
+        } else if (sparkline) {
+            quote.sparkline = sparkline;
+        }
+        var group = trimString(raw.group === null || raw.group === undefined ? "" : raw.group);
+        if (group.length) {
+            quote.group = group;
+        }
+        return quote;
+    }
+
+    function compareTimes(a, b) {
+        return a.time - b.time;
+    }
+
+    /**
+     * Normalises records into quotes. Several rows for one symbol at different times become that
+     * quote's snapshots: the earliest supplies the opening values and the rest go to `snapshots`.
+     */
+    function addQuotes(records, report, percentUnits) {
+        var quotes = [];
+        var series = {};
+        for (var i = 0; i < records.length; i++) {
+            var row = normalizeQuote(records[i].values, records[i].label, report, percentUnits);
+            if (!row) {
+                continue;
+            }
+            row.label = records[i].label;
+            var rows = series.hasOwnProperty(row.symbol) ? series[row.symbol] : null;
+            if (!rows) {
+                series[row.symbol] = [row];
+                quotes.push(row);
+                continue;
+            }
+            var clash = null;
+            for (var r = 0; r < rows.length && !clash; r++) {
+                if (rows[r].time === row.time) {
+                    clash = rows[r];
+                }
+            }
+            if (clash) {
+                report.errors.push(row.label + ": duplicate symbol " + row.symbol + " (first seen at " + clash.label + ")");
+                continue;
+            }
+            rows.push(row);
+        }
+
+        for (var q = 0; q < quotes.length; q++) {
+            var snapshots = series[quotes[q].symbol];
+            snapshots.sort(compareTimes);
+            var opening = snapshots[0];
+            quotes[q] = {symbol: opening.symbol, price: opening.price, change: opening.change, percent: opening.percent};
+            if (opening.previousClose !== undefined) {
+                quotes[q].previousClose = opening.previousClose;
+            }
+            for (var k = snapshots.length - 1; k >= 0 && !quotes[q].sparkline; k--) {
+                if (snapshots[k].sparkline) {
+                    quotes[q].sparkline = snapshots[k].sparkline; // the latest row's prices win
+                }
+            }
+            for (var g = 0; g < snapshots.length && !quotes[q].group; g++) {
+                if (snapshots[g].group) {
+                    quotes[q].group = snapshots[g].group;
+                }
+            }
+            if (snapshots.length > 1) {
+                quotes[q].snapshots = [];
+                for (var s = 1; s < snapshots.length; s++) {
+                    quotes[q].snapshots.push({
+                        time: snapshots[s].time,
+                        price: snapshots[s].price,
+                        change: snapshots[s].change,
+                        percent: snapshots[s].percent
+                    });
+                }
+            }
+        }
+        return quotes;
+    }
+
+    function isBlankRow(row) {
+        return row.length === 1 && !trimString(row[0]).length;
+    }
+
+    function csvRecords(rows, header, columns, skipSymbols) {
+        var indexes = {};
+        for (var key in columns) {
+            if (columns.hasOwnProperty(key)) {
+                indexes[key] = findColumn(columns[key], header);
+            }
+        }
+        if (indexes.symbol < 0 || indexes.price < 0) {
+            var missing = indexes.symbol < 0 ? "symbol" : "price";
+            throw new Error("No \"" + missing + "\" column found. Header: " + header.join(", ") +
+                "\nAccepted names: " + columns[missing].join(", "));
+        }
+
+        var records = [];
+        for (var r = 0; r < rows.length; r++) {
+            var row = rows[r];
+            if (isBlankRow(row)) {
+                continue;
+            }
+            var values = {};
+            for (var field in indexes) {
+                if (indexes.hasOwnProperty(field)) {
+                    values[field] = indexes[field] >= 0 && indexes[field] < row.length ? row[indexes[field]] : null;
+                }
+            }
+            if (skipSymbols && (values.symbol === null || !trimString(values.symbol).length ||
+                    findColumn(skipSymbols, [values.symbol]) !== -1)) {
+                continue;
+            }
+            records.push({label: "Line " + row.line, values: values});
+        }
+        return records;
+    }
+
+    // The "as of" and session values of a CSV: the first filled cell of each DATA_SOURCE.status column.
+    function csvStatus(rows, header) {
+        var found = {asOf: null, session: null};
+        for (var field in found) {
+            var column = found.hasOwnProperty(field) ? findColumn(DATA_SOURCE.status[field], header) : -1;
+            for (var r = 0; column >= 0 && r < rows.length && found[field] === null; r++) {
+                if (column < rows[r].length && trimString(rows[r][column]).length) {
+                    found[field] = rows[r][column];
+                }
+            }
+        }
+        return found;
+    }
+
+    function inputRows(input) {
+        if (!input.rows) {
+            input.rows = parseCsv(input.text);
+        }
+        return input.rows;
+    }
+
+    function firstFilledRow(rows) {
+        for (var r = 0; r < rows.length; r++) {
+            if (!isBlankRow(rows[r])) {
+                return r;
+            }
+        }
+        return -1;
+    }
+
+    function readCsvQuotes(input, columns) {
+        var rows = inputRows(input);
+        var at = firstFilledRow(rows);
+        if (at < 0) {
+            throw new Error("The file is empty.");
+        }
+        var body = rows.slice(at + 1);
+        return {records: csvRecords(body, rows[at], columns), status: csvStatus(body, rows[at])};
+    }
+
+    function brokerColumns(columns) {
+        var merged = {};
+        for (var field in columns) {
+            if (columns.hasOwnProperty(field)) {
+                merged[field] = columns[field].concat(BROKER_CSV.columns[field] || []);
+            }
+        }
+        return merged;
+    }
+
+    function brokerHeaderRow(rows, columns) {
+        for (var r = 0; r < rows.length && r < BROKER_CSV.headerSearchRows; r++) {
+            if (findColumn(columns.symbol, rows[r]) >= 0 && findColumn(columns.price, rows[r]) >= 0) {
+                return r;
+            }
+        }
+        return -1;
+    }
+
+    // A broker export has account details above its header, or column names only brokers use.
+    function isBrokerCsv(input) {
+        var rows = inputRows(input);
+        var at = brokerHeaderRow(rows, brokerColumns(DATA_SOURCE.columns));
+        if (at < 0) {
+            return false;
+        }
+        if (at > firstFilledRow(rows)) {
+            return true;
+        }
+        for (var field in BROKER_CSV.columns) {
+            if (BROKER_CSV.columns.hasOwnProperty(field) && findColumn(BROKER_CSV.columns[field], rows[at]) >= 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function readBrokerCsv(input, columns) {
+        var rows = inputRows(input);
+        var merged = brokerColumns(columns);
+        var at = brokerHeaderRow(rows, merged);
+        if (at < 0) {
+            throw new Error("No header with a symbol and a price column in the first " + BROKER_CSV.headerSearchRows + " rows.");
+        }
+        var body = rows.slice(at + 1);
+        return {records: csvRecords(body, rows[at], merged, BROKER_CSV.skipSymbols), status: csvStatus(body, rows[at])};
+    }
+
+    function jsonQuoteList(parsed) {
+        if (parsed instanceof Array) {
+            return parsed;
+        }
+        var containers = ["quotes", "data", "tickers", "items"];
+        for (var c = 0; c < containers.length; c++) {
+            if (parsed && parsed[containers[c]] instanceof Array) {
+                return parsed[containers[c]];
+            }
+        }
+        return null;
+    }
+
+    function jsonValues(entry, columns) {
+        var values = {};
+        var keys = [];
+        for (var k in entry) {
+            if (entry.hasOwnProperty(k)) {
+                keys.push(k);
+            }
+        }
+        for (var field in columns) {
+            if (columns.hasOwnProperty(field)) {
+                var idx = findColumn(columns[field], keys);
+                values[field] = idx >= 0 ? entry[keys[idx]] : null;
+            }
+        }
+        return values;
+    }
+
+    function jsonSnapshots(entry) {
+        var containers = ["snapshots", "history", "updates"];
+        for (var c = 0; c < containers.length; c++) {
+            if (entry && entry[containers[c]] instanceof Array) {
+                return entry[containers[c]];
+            }
+        }
+        return [];
+    }
+
+    // Fills the "as of" and session values still missing in `found` from an object's keys.
+    function takeStatusValues(found, entry) {
+        if (!entry || typeof entry !== "object") {
+            return;
+        }
+        var values = jsonValues(entry, DATA_SOURCE.status);
+        for (var key in found) {
+            if (found.hasOwnProperty(key) && found[key] === null && values[key] !== null && typeof values[key] !== "object") {
+                found[key] = values[key];
+            }
+        }
+    }
+
+    function isJsonQuotes(input) {
+        return /\.json$/i.test(input.file.name) || /^\s*[\[{]/.test(input.text);
+    }
+
+    function readJsonQuotes(input, columns) {
+        var parsed = parseJson(input.text);
+        var list = jsonQuoteList(parsed);
+        if (!list) {
+            throw new Error("Expected an array of quotes or an object with a \"quotes\" array.");
+        }
+
+        var records = [];
+        for (var i = 0; i < list.length; i++) {
+            var values = jsonValues(list[i], columns);
+            records.push({label: "Entry " + (i + 1), values: values});
+            var nested = jsonSnapshots(list[i]);
+            for (var n = 0; n < nested.length; n++) {
+                var snapshotValues = jsonValues(nested[n], columns);
+                if (snapshotValues.symbol === null) {
+                    snapshotValues.symbol = values.symbol;
+                }
+                records.push({label: "Entry " + (i + 1) + " snapshot " + (n + 1), values: snapshotValues});
+            }
+        }
+        var status = {asOf: null, session: null};
+        takeStatusValues(status, parsed instanceof Array ? null : parsed);
+        takeStatusValues(status, list.length ? list[0] : null);
+        return {records: records, status: status};
+    }
+
+    // Follows a dotted path ("quote.last") into parsed JSON; null where it leads nowhere.
+    function valueAtPath(value, path) {
+        var parts = path.split(".");
+        for (var i = 0; i < parts.length; i++) {
+            if (value === null || typeof value !== "object" || value[parts[i]] === undefined) {
+                return null;
+            }
+            value = value[parts[i]];
+        }
+        return value;
+    }
+
+    function inputJson(input) {
+        if (input.json === undefined) {
+            input.json = null;
+            if (/^\s*\{/.test(input.text)) {
+                try {
+                    input.json = parseJson(input.text);
+                } catch (err) {
+                    // Not JSON after all; the other adapters get their turn.
+                }
+            }
+        }
+        return input.json;
+    }
+
+    function isNewsroomFeed(input) {
+        return valueAtPath(inputJson(input), NEWSROOM_FEED.list) instanceof Array;
+    }
+
+    function readNewsroomFeed(input, columns) {
+        var parsed = inputJson(input);
+        var list = valueAtPath(parsed, NEWSROOM_FEED.list);
+        var records = [];
+        for (var i = 0; i < list.length; i++) {
+            var values = {};
+            for (var field in columns) {
+                if (columns.hasOwnProperty(field)) {
+                    values[field] = NEWSROOM_FEED.fields.hasOwnProperty(field) ? valueAtPath(list[i], NEWSROOM_FEED.fields[field]) : null;
+                }
+            }
+            records.push({label: "Instrument " + (i + 1), values: values});
+        }
+        return {
+            records: records,
+            status: {asOf: valueAtPath(parsed, NEWSROOM_FEED.asOf), session: valueAtPath(parsed, NEWSROOM_FEED.session)},
+            percentUnits: NEWSROOM_FEED.percentUnits
+        };
+    }
+
+    // Splits "symbol=AAPL price=190.95; asOf=16:00 ET" into its pairs; values may hold spaces.
+    function keyValuePairs(line) {
+        var pairs = {};
+        var pattern = /([^\s=;]+)\s*=\s*([^;]*?)\s*(?=;|\s+[^\s=;]+\s*=|$)/g;
+        var match;
+        while ((match = pattern.exec(line)) !== null) {
+            pairs[match[1]] = match[2];
+        }
+        return pairs;
+    }
+
+    function isKeyValueText(input) {
+        var lines = input.text.split(/\r\n|\r|\n/);
+        for (var i = 0; i < lines.length; i++) {
+            var line = trimString(lines[i]);
+            if (line.length && line.charAt(0) !== "#") {
+                return /^[^\s=,;"]+\s*=/.test(line);
+            }
+        }
+        return false;
+    }
+
+    function readKeyValueQuotes(input, columns) {
+        var lines = input.text.split(/\r\n|\r|\n/);
+        var records = [];
+        var status = {asOf: null, session: null};
+        for (var i = 0; i < lines.length; i++) {
+            var line = trimString(lines[i]);
+            if (!line.length || line.charAt(0) === "#") {
+                continue;
+            }
+            var pairs = keyValuePairs(line);
+            var values = jsonValues(pairs, columns);
+            if (values.symbol === null && values.price === null) {
+                takeStatusValues(status, pairs);
+            } else {
+                records.push({label: "Line " + (i + 1), values: values});
+            }
+        }
+        return {records: records, status: status};
+    }
+
+    function quoteFileExtensions() {
+        var extensions = [];
+        for (var a = 0; a < QUOTE_ADAPTERS.length; a++) {
+            for (var e = 0; e < QUOTE_ADAPTERS[a].extensions.length; e++) {
+                if (indexOf(extensions, QUOTE_ADAPTERS[a].extensions[e]) === -1) {
+                    extensions.push(QUOTE_ADAPTERS[a].extensions[e]);
+                }
+            }
+        }
+        return extensions;
+    }
+
+    /**
+     * Reads a quote file with the first of QUOTE_ADAPTERS that recognizes it. Every adapter's
+     * records go through addQuotes, so whatever the source, the quotes come out in the shape
+     * formatTicker and the layout expect. Returns {quotes, status, format, report}.
+     */
+    function loadQuotesFromFile(file, columns) {
+        var input = {file: file, text: readTextFile(file)};
+        var adapter = null;
+        for (var a = 0; a < QUOTE_ADAPTERS.length && !adapter; a++) {
+            if (QUOTE_ADAPTERS[a].detect(input)) {
+                adapter = QUOTE_ADAPTERS[a];
+            }
+        }
+        var source = adapter.read(input, columns);
+        var report = {errors: [], warnings: []};
+        return {
+            quotes: addQuotes(source.records, report, source.percentUnits || DATA_SOURCE.percentUnits),
+            status: marketStatus(source.status, report),
+            format: adapter.name,
+            report: report
+        };
+    }
+
+    function statusTime(value) {
+        var text = trimString(String(value));
+        var iso = /^\d{4}-\d\d-\d\d[T ](\d\d):(\d\d)(?::\d\d(?:\.\d+)?)?\s*(Z|[+-]\d\d:?\d\d)?$/i.exec(text);
+        if (!iso) {
+            return text;
+        }
+        var zone = STATUS_STRIP.timeZone;
+        if (iso[3]) {
+            zone = "UTC";
+            var offset = /^([+-])(\d\d):?(\d\d)$/.exec(iso[3]);
+            if (offset && offset[2] + offset[3] !== "0000") {
+                zone += offset[1] + parseInt(offset[2], 10) + (offset[3] !== "00" ? ":" + offset[3] : "");
+            }
+        }
+        return iso[1] + ":" + iso[2] + " " + zone;
+    }
+
+    // Maps a session name from a file or the panel onto a key of STATUS_STRIP.sessions, or null.
+    function parseSession(value) {
+        var sessions = STATUS_STRIP.sessions;
+        for (var state in sessions) {
+            if (sessions.hasOwnProperty(state) && findColumn(sessions[state].aliases, [String(value)]) !== -1) {
+                return state;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Turns the "as of" and session values an adapter found (null when the file has none) into
+     * the status strip's; either stays empty when the file has none, and a session that is not
+     * recognized is reported and dropped.
+     */
+    function marketStatus(found, report) {
+        var status = {asOf: "", session: ""};
+        if (found.asOf !== null && trimString(String(found.asOf)).length) {
+            status.asOf = statusTime(found.asOf);
+        }
+        if (found.session !== null && trimString(String(found.session)).length) {
+            status.session = parseSession(found.session) || "";
+            if (!status.session) {
+                report.warnings.push("Market session \"" + trimString(String(found.session)) + "\" is not one of pre, open, closed or halted; no badge is shown.");
+            }
+        }
+        return status;
+    }
+
+    /**
+     * The newest quote file in a drop folder, or null. Hidden files and extensions no adapter
+     * reads, like a feed's half-written .tmp files, are passed over.
+     */
+    function newestDropFile(folder) {
+        if (!folder.exists) {
+            return null;
+        }
+        var extensions = quoteFileExtensions();
+        var files = folder.getFiles();
+        var newest = null;
+        for (var i = 0; i < files.length; i++) {
+            if (!(files[i] instanceof File)) {
+                continue;
+            }
+            var name = File.decode(files[i].name);
+            var dot = name.lastIndexOf(".");
+            if (dot <= 0 || /^[.~]/.test(name) || indexOf(extensions, name.substring(dot + 1).toLowerCase()) === -1) {
+                continue;
+            }
+            if (!newest || files[i].modified > newest.modified) {
+                newest = files[i];
+            }
+        }
+        return newest;
+    }
+
+    function describeIssues(title, issues) {
+        var lines = [title];
+        for (var i = 0; i < issues.length && i < MAX_REPORTED_ISSUES; i++) {
+            lines.push("  " + issues[i]);
+        }
+        if (issues.length > MAX_REPORTED_ISSUES) {
+            lines.push("  ...and " + (issues.length - MAX_REPORTED_ISSUES) + " more");
+        }
+        return lines.join("\n");
+    }
+
+    // Loads a quote file, asking before it drops bad rows. Returns {quotes, status}, or null.
+    function importQuotes(file) {
+        var result;
+        try {
+            result = loadQuotesFromFile(file, DATA_SOURCE.columns);
+        } catch (err) {
+            alert(SCRIPT_NAME + ": Could not load " + file.name + "\n" + err.toString());
+            return null;
+        }
+
+        var report = result.report;
+        var sections = [];
+        if (report.errors.length) {
+            sections.push(describeIssues(report.errors.length + " row(s) skipped:", report.errors));
+        }
+        if (report.warnings.length) {
+            sections.push(describeIssues(report.warnings.length + " warning(s):", report.warnings));
+        }
+        if (!result.quotes.length) {
+            sections.unshift("No usable quotes found in " + file.name + ".");
+            alert(SCRIPT_NAME + "\n\n" + sections.join("\n\n"));
+            return null;
+        }
+        if (sections.length) {
+            sections.unshift(file.name + ": " + result.quotes.length + " quote(s) ready.");
+            sections.push("Load the usable quotes?");
+            if (!confirm(SCRIPT_NAME + "\n\n" + sections.join("\n\n"))) {
+                return null;
+            }
+        }
+        return {quotes: result.quotes, status: result.status};
+    }
+
+    function copyQuote(source) {
+        var quote = {
+            symbol: source.symbol,
+            price: source.price,
+            change: source.change,
+            percent: source.percent
+        };
+        if (source.previousClose !== undefined && source.previousClose !== null) {
+            quote.previousClose = source.previousClose;
+        }
+        if (source.snapshots && source.snapshots.length) {
+            quote.snapshots = [];
+            for (var s = 0; s < source.snapshots.length; s++) {
+                var snapshot = source.snapshots[s];
+                quote.snapshots.push({time: snapshot.time, price: snapshot.price, change: snapshot.change, percent: snapshot.percent});
+            }
+        }
+        if (source.sparkline) {
+            quote.sparkline = source.sparkline.slice();
+        }
+        if (source.group) {
+            quote.group = source.group;
+        }
+        return quote;
+    }
+
+    /**
+     * Copies hand-written quotes (TICKER_DATA) and derives change and percent where they were
+     * left out. Nothing is validated here; checkQuote reports problems before a build.
+     */
+    function copyQuotes(list) {
+        var out = [];
+        for (var i = 0; i < list.length; i++) {
+            var quote = copyQuote(list[i]);
+            var derived = deriveChange(
+                quote.price,
+                quote.change === undefined ? null : quote.change,
+                quote.percent === undefined ? null : quote.percent,
+                quote.previousClose === undefined ? null : quote.previousClose
+            );
+            quote.change = derived ? derived.change : 0;
+            quote.percent = derived ? derived.percent : 0;
+            out.push(quote);
+        }
+        return out;
+    }
+
+    function isNumber(value) {
+        return typeof value === "number" && isFinite(value);
+    }
+
+    function formatPercentValue(percent) {
+        return (percent * 100).toFixed(2) + "%";
+    }
+
+    /**
+     * Lists what is wrong with a quote before it is built: unusable values, a negative price,
+     * change and percent with opposite signs, or values that disagree (with each other, or with
+     * the previous close) by more than CONSISTENCY_TOLERANCE. `canFix` is false when there is no
+     * symbol or price to work from; `canKeep` when only the consistency checks failed.
+     */
+    function checkQuote(quote) {
+        var issues = [];
+        var hasSymbol = typeof quote.symbol === "string" && trimString(quote.symbol).length > 0;
+        if (!hasSymbol) {
+            issues.push("empty symbol");
+        }
+        if (!isNumber(quote.price)) {
+            issues.push("price is not a number");
+        } else if (quote.price < 0) {
+            issues.push("negative price " + quote.price);
+        }
+        if (!isNumber(quote.change)) {
+            issues.push("change is not a number");
+        }
+        if (!isNumber(quote.percent)) {
+            issues.push("percent is not a number");
+        }
+        var hasPreviousClose = quote.previousClose !== undefined && quote.previousClose !== null;
+        if (hasPreviousClose && !isNumber(quote.previousClose)) {
+            issues.push("previous close is not a number");
+        }
+        var result = {issues: issues, canFix: hasSymbol && isNumber(quote.price), canKeep: issues.length === 0};
+        if (issues.length) {
+            return result;
+        }
+
+        if ((quote.change > 0 && quote.percent < 0) || (quote.change < 0 && quote.percent > 0)) {
+            issues.push("change " + quote.change + " and percent " + formatPercentValue(quote.percent) + " have opposite signs");
+        } else if (hasPreviousClose && quote.previousClose > 0) {
+            var delta = quote.price - quote.previousClose;
+            if (Math.abs(quote.change - delta) > CONSISTENCY_TOLERANCE * quote.price ||
+                    Math.abs(quote.percent - delta / quote.previousClose) > CONSISTENCY_TOLERANCE) {
+                issues.push("change " + quote.change + " / " + formatPercentValue(quote.percent) +
+                    " does not match previous close " + quote.previousClose);
+            }
+        } else {
+            var base = quote.price - quote.change;
+            var expected = base !== 0 ? quote.change / base : 0;
+            if (Math.abs(quote.percent - expected) > CONSISTENCY_TOLERANCE) {
+                issues.push("percent " + formatPercentValue(quote.percent) + " does not match change " + quote.change +
+                    " (expected " + formatPercentValue(expected) + ")");
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Returns a corrected copy: a negative price loses its sign, the previous close (when usable)
+     * decides change and percent, otherwise percent is recomputed from change (or change from
+     * percent when change is unusable).
+     */
+    function fixQuote(quote) {
+        var fixed = copyQuote(quote);
+        fixed.symbol = trimString(fixed.symbol).toUpperCase();
+        fixed.price = Math.abs(fixed.price);
+        var previousClose = isNumber(fixed.previousClose) && fixed.previousClose > 0 ? fixed.previousClose : null;
+        if (previousClose === null) {
+            delete fixed.previousClose;
+        }
+        var change = isNumber(fixed.change) && previousClose === null ? fixed.change : null;
+        var percent = isNumber(fixed.percent) && previousClose === null && change === null ? fixed.percent : null;
+        var derived = deriveChange(fixed.price, change, percent, previousClose);
+        fixed.change = derived ? derived.change : 0;
+        fixed.percent = derived ? derived.percent : 0;
+        return fixed;
+    }
+
+    function countQuotesWith(quotes, field) {
+        var count = 0;
+        for (var i = 0; i < quotes.length; i++) {
+            if (quotes[i][field] && quotes[i][field].length) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    function quoteColor(quote, options) {
+        if (quote.change > 0) {
+            return options.positiveColor;
+        } else if (quote.change < 0) {
+            return options.negativeColor;
+        }
+        return options.neutralColor;
+    }
+
+    /**
+     * Expression for a lane's distance slider on the controller ("Scroll Distance" or "News
+     * Distance"): how far the lane has scrolled by now, integrated from its speed slider so
+     * keyframed speed changes and the "Ease In (s)" / "Ease Out (s)" ramps at the comp's head and
+     * tail move it smoothly. Perfect Loop scales the whole run to a whole number of cycles. With
+     * the spotlight on, the quote lane's speed is also weighed down to a stop so the spotlit
+     * symbol rests centered on "Spotlight X", holds and picks up again; the keys and ramps stay
+     * on comp time, and distance never jumps, so the modulo loop carries on. `result` "rest"
+     * returns the time the rest begins instead (-1 without a spotlight), for "Spotlight Rest (s)";
+     * the distance reads that slider back rather than searching for it again.
+     */
+    function laneDistanceExpression(lane, result) {
+        var expression = 'var speed = effect("' + lane.speed + '")("Slider");\n' +
+            'var span = Math.max(1, effect("' + lane.cycle + '")("Slider"));\n' +
+            'var easeIn = Math.max(0, effect("Ease In (s)")("Slider"));\n' +
+            'var easeOut = Math.max(0, effect("Ease Out (s)")("Slider"));\n' +
+            'function rate(t) {\n' +
+            '  var ramp = 1;\n' +
+            '  if (easeIn > 0) ramp = Math.min(ramp, ease(t, 0, easeIn, 0, 1));\n' +
+            '  if (easeOut > 0) ramp = Math.min(ramp, ease(t, thisComp.duration - easeOut, thisComp.duration, 1, 0));\n' +
+            '  return speed.valueAtTime(t) * ramp;\n' +
+            '}\n' +
+            // Simpson's rule between speed keys and ramp ends, where the rate changes smoothly.
+            'function integrate(a, b, weight) {\n' +
+            '  if (b <= a) return 0;\n' +
+            '  var h = (b - a) / 8;\n' +
+            '  var sum = rate(a) * weight(a) + rate(b) * weight(b);\n' +
+            '  for (var i = 1; i < 8; i++) sum += rate(a + i * h) * weight(a + i * h) * (i % 2 ? 4 : 2);\n' +
+            '  return sum * h / 3;\n' +
+            '}\n' +
+            'var marks = [easeIn, thisComp.duration - easeOut];\n' +
+            'for (var k = 1; k <= speed.numKeys; k++) marks.push(speed.key(k).time);\n' +
+            'marks.sort(function (a, b) { return a - b; });\n' +
+            'function between(a, b, weight) {\n' +
+            '  var d = 0;\n' +
+            '  var from = a;\n' +
+            '  for (var m = 0; m < marks.length; m++) {\n' +
+            '    if (marks[m] > from && marks[m] < b) {\n' +
+            '      d += integrate(from, marks[m], weight);\n' +
+            '      from = marks[m];\n' +
+            '    }\n' +
+            '  }\n' +
+            '  return d + integrate(from, b, weight);\n' +
+            '}\n' +
+            'function full(t) { return 1; }\n' +
+            'function travelled(t) { return between(0, t, full); }\n' +
+            'var lost = 0;\n';
+        if (lane.spotlight) {
+            // The slow-down and pick-up are linear in the weight, so each loses half an ease of
+            // travel at the speed of the moment and the hold loses all of it.
+            expression += 'var spotTravel = effect("Spotlight")("Checkbox") > 0 ? effect("Spotlight Travel")("Slider") : -1;\n' +
+                'var spotEase = Math.max(thisComp.frameDuration, effect("Spotlight Ease (s)")("Slider"));\n' +
+                'var spotHold = Math.max(0, effect("Spotlight Hold (s)")("Slider"));\n' +
+                'var spotTime = effect("Spotlight Time (s)")("Slider");\n' +
+                'if (spotTravel >= 0) lost = (spotEase + spotHold) * Math.abs(rate(spotTime));\n' +
+                'var slowFrom = -1;\n' +
+                'var rest = -1;\n' +
+                'function slowing(t) { return 1 - (t - slowFrom) / spotEase; }\n' +
+                'function resuming(t) { return (t - rest - spotHold) / spotEase; }\n';
+        }
+        expression += 'var scale = 1;\n' +
+            'if (effect("Perfect Loop")("Checkbox") > 0) {\n' +
+            '  var whole = Math.abs(travelled(thisComp.duration)) - lost;\n' +
+            '  if (whole > 0) scale = Math.max(1, Math.round(whole / span)) * span / whole;\n' +
+            '}\n';
+        if (!lane.spotlight) {
+            return expression + (result === "rest" ? '-1;' : 'scale * travelled(time);');
+        }
+        if (result !== "rest") {
+            // Weigh the rate down to a stop over one ease before the rest, hold, and weigh it
+            // back up over another.
+            return expression + 'rest = effect("Spotlight Rest (s)")("Slider");\n' +
+                'if (rest >= 0) slowFrom = rest - spotEase;\n' +
+                'function distanceAt(t) {\n' +
+                '  if (rest < 0 || t <= slowFrom) return travelled(t);\n' +
+                '  var resumeFrom = rest + spotHold;\n' +
+                '  var d = travelled(slowFrom) + between(slowFrom, Math.min(t, rest), slowing);\n' +
+                '  if (t > resumeFrom) d += between(resumeFrom, Math.min(t, resumeFrom + spotEase), resuming);\n' +
+                '  if (t > resumeFrom + spotEase) d += travelled(t) - travelled(resumeFrom + spotEase);\n' +
+                '  return d;\n' +
+                '}\n' +
+                'scale * distanceAt(time);';
+        }
+        // Find the first time from "Spotlight Time (s)" at which starting to slow down brings
+        // start + distance to rest on "Spotlight Travel" (a whole number of cycles on).
+        return expression + 'function stopAt(s) {\n' +
+            '  slowFrom = s;\n' +
+            '  return scale * (travelled(s) + between(s, s + spotEase, slowing));\n' +
+            '}\n' +
+            'if (spotTravel >= 0) {\n' +
+            '  var dir = rate(spotTime) < 0 ? -1 : 1;\n' +
+            '  var target = spotTravel - effect("' + lane.start + '")("Slider");\n' +
+            '  var from = stopAt(spotTime);\n' +
+            '  var goal = target + (dir > 0 ? Math.ceil((from - target) / span) : Math.floor((from - target) / span)) * span;\n' +
+            '  var lo = spotTime;\n' +
+            '  var hi = spotTime + 1;\n' +
+            '  for (var tries = 0; tries < 12 && (stopAt(hi) - goal) * dir < 0; tries++) hi = spotTime + (hi - spotTime) * 2;\n' +
+            '  if ((stopAt(hi) - goal) * dir >= 0) {\n' +
+            '    for (var step = 0; step < 30; step++) {\n' +
+            '      var mid = (lo + hi) / 2;\n' +
+            '      if ((stopAt(mid) - goal) * dir < 0) lo = mid; else hi = mid;\n' +
+            '    }\n' +
+            '    rest = hi + spotEase;\n' +
+            '  }\n' +
+            '}\n' +
+            'rest;';
+    }
+
+    /**
+     * Adds or refreshes a lane's distance slider (and, for the quote lane, "Spotlight Rest (s)")
+     * along with the speed ramps it reads. The spotlight controls must already exist.
+     */
+    function syncLaneDistance(controlLayer, lane, options) {
+        setUnlessKeyed(ensureSlider(controlLayer, "Ease In (s)", options.easeIn), options.easeIn);
+        setUnlessKeyed(ensureSlider(controlLayer, "Ease Out (s)", options.easeOut), options.easeOut);
+        // the distance reads "Spotlight Rest (s)", so that goes in first
+        if (lane.spotlight) {
+            ensureSlider(controlLayer, "Spotlight Rest (s)", -1).expression = laneDistanceExpression(lane, "rest");
+        }
+        ensureSlider(controlLayer, lane.distance, 0).expression = laneDistanceExpression(lane, "distance");
+    }
+
+    // Shared head of the scroll expressions; `distance` comes from the lane's distance slider.
+    function controllerExpression(lane) {
+        lane = lane || QUOTE_LANE;
+        return 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var span = Math.max(1, ctrl.effect("' + lane.cycle + '")("Slider"));\n' +
+            'var rightEdge = ctrl.effect("Right Edge")("Slider");\n' +
+            'var baseline = ctrl.effect("' + lane.baseline + '")("Slider");\n' +
+            'var start = ctrl.effect("' + lane.start + '")("Slider");\n' +
+            'var distance = ctrl.effect("' + lane.distance + '")("Slider");\n';
+    }
+
+    function spotlightGrowExpression() {
+        return 'var spotEase = Math.max(thisComp.frameDuration, ctrl.effect("Spotlight Ease (s)")("Slider"));\n' +
+            'var restStart = ctrl.effect("Spotlight Rest (s)")("Slider");\n' +
+            'var restEnd = restStart + Math.max(0, ctrl.effect("Spotlight Hold (s)")("Slider"));\n' +
+            'var grow = 0;\n' +
+            'if (restStart >= 0) {\n' +
+            '  grow = Math.min(linear(time, restStart - spotEase / 2, restStart, 0, 1), linear(time, restEnd, restEnd + spotEase / 2, 1, 0));\n' +
+            '}\n';
+    }
+
+    function spotlightZoomExpression() {
+        return spotlightGrowExpression() +
+            'var mine = 0;\n' +
+            'try { mine = effect("Symbol Index")("Slider"); } catch (err) {}\n' +
+            'var zoom = 1;\n' +
+            'if (mine > 0 && Math.round(mine) == Math.round(ctrl.effect("Spotlight Index")("Slider"))) {\n' +
+            '  zoom = 1 + (ctrl.effect("Spotlight Scale (%)")("Slider") / 100 - 1) * grow;\n' +
+            '}\n';
+    }
+
+    function quotePositionExpression() {
+        // A spotlit entry grows from its left-edge anchor, so shift it to stay centered.
+        return controllerExpression() +
+            'var base = effect("Base Offset")("Slider");\n' +
+            'var travel = (base + start + distance) % span;\n' +
+            'if (travel < 0) travel += span;\n' +
+            spotlightZoomExpression() +
+            'var x = rightEdge - travel - (zoom - 1) * sourceRectAtTime(time, false).width / 2;\n' +
+            '[x, baseline];';
+    }
+
+    function spotlightScaleExpression() {
+        return controllerExpression() +
+            spotlightZoomExpression() +
+            'mul(value, zoom);';
+    }
+
+    /**
+     * Controller slider expression that finds the layer whose "Symbol Index" matches
+     * "Spotlight Index" and returns its text width, or (for "travel") the scroll distance,
+     * start offset included and wrapped to the cycle, that centers it on "Spotlight X".
+     * Returns -1 when no layer matches.
+     */
+    function spotlightLookupExpression(result) {
+        var value = result === "travel" ?
+            '(((effect("Right Edge")("Slider") - effect("Spotlight X")("Slider") + width / 2 - base) % span) + span) % span' :
+            'width';
+        return 'var index = Math.round(effect("Spotlight Index")("Slider"));\n' +
+            'var span = Math.max(1, effect("Cycle Width")("Slider"));\n' +
+            'var result = -1;\n' +
+            'for (var i = 1; i <= thisComp.numLayers && result < 0; i++) {\n' +
+            '  var target = thisComp.layer(i);\n' +
+            '  var base = null;\n' +
+            '  try {\n' +
+            '    if (index > 0 && Math.round(target.effect("Symbol Index")("Slider")) == index) base = target.effect("Base Offset")("Slider");\n' +
+            '  } catch (err) {}\n' +
+            '  if (base !== null) {\n' +
+            '    var width = target.sourceRectAtTime(time, false).width;\n' +
+            '    result = ' + value + ';\n' +
+            '  }\n' +
+            '}\n' +
+            'result;';
+    }
+
+    /**
+     * Roll style: the entry whose "Slot" is up holds at "Center X" / "Baseline Y" for "Hold (s)",
+     * then slides up and out while the next one slides in from below.
+     */
+    function rollPositionExpression() {
+        return 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var hold = Math.max(0, ctrl.effect("Hold (s)")("Slider"));\n' +
+            'var trans = Math.max(thisComp.frameDuration, ctrl.effect("Transition (s)")("Slider"));\n' +
+            'var count = Math.max(1, Math.round(ctrl.effect("Roll Count")("Slider")));\n' +
+            'var distance = ctrl.effect("Roll Distance")("Slider");\n' +
+            'var x = ctrl.effect("Center X")("Slider");\n' +
+            'var baseline = ctrl.effect("Baseline Y")("Slider");\n' +
+            'var step = hold + trans;\n' +
+            'var cycle = step * count;\n' +
+            'var local = ((time - effect("Slot")("Slider") * step + trans) % cycle + cycle) % cycle - trans;\n' +
+            'var y = baseline + distance;\n' +
+            'if (count < 2 || (local >= 0 && local < hold)) {\n' +
+            '  y = baseline;\n' +
+            '} else if (local < 0) {\n' +
+            '  y = ease(local, -trans, 0, baseline + distance, baseline);\n' +
+            '} else if (local < step) {\n' +
+            '  y = ease(local, hold, step, baseline, baseline - distance);\n' +
+            '}\n' +
+            '[x, y];';
+    }
+
+    function entryPositionExpression(options) {
+        return options.style === "roll" ? rollPositionExpression() : quotePositionExpression();
+    }
+
+    function findEffect(layer, effectName) {
+        var effects = layer.property("ADBE Effect Parade");
+        if (!effects) {
+            return null;
+        }
+        for (var i = 1; i <= effects.numProperties; i++) {
+            if (effects.property(i).name === effectName) {
+                return effects.property(i);
+            }
+        }
+        return null;
+    }
+
+    function findSlider(layer, effectName) {
+        var effect = findEffect(layer, effectName);
+        return effect ? effect.property("ADBE Slider Control-0001") : null;
+    }
+
+    function ensureSlider(layer, effectName, value) {
+        var slider = findSlider(layer, effectName);
+        return slider || addSlider(layer, effectName, value);
+    }
+
+    function ensureCheckbox(layer, effectName, value) {
+        var effect = findEffect(layer, effectName);
+        if (!effect) {
+            effect = layer.property("ADBE Effect Parade").addProperty("ADBE Checkbox Control");
+            effect.name = effectName;
+        }
+        var checkbox = effect.property("ADBE Checkbox Control-0001");
+        if (checkbox.numKeys === 0) {
+            checkbox.setValue(value ? 1 : 0);
+        }
+        return checkbox;
+    }
+
+    function findLayer(comp, layerName) {
+        for (var i = 1; i <= comp.numLayers; i++) {
+            if (comp.layer(i).name === layerName) {
+                return comp.layer(i);
+            }
+        }
+        return null;
+    }
+
+    function clearKeys(prop) {
+        while (prop.numKeys > 0) {
+            prop.removeKey(prop.numKeys);
+        }
+    }
+
+    function easeInOut(t) {
+        return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+    }
+
+    function setQuoteTextKey(textProp, textDocument, time, quote, includeBullet, color, format) {
+        textDocument.text = formatTicker(quote, includeBullet, format);
+        textDocument.fillColor = color;
+        textProp.setValueAtTime(time, textDocument);
+    }
+
+    /**
+     * Turns a quote's timed snapshots into Source Text keyframes (text keys always hold), with a
+     * short flash or count-up after each change. Transitions are cut short before the next snapshot.
+     */
+    function applyQuoteSnapshots(textLayer, quote, includeBullet, options) {
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        clearKeys(textProp);
+        if (!quote.snapshots || !quote.snapshots.length) {
+            return;
+        }
+        var textDocument = textProp.value;
+        var frame = textLayer.containingComp.frameDuration;
+        var previous = quote;
+        setQuoteTextKey(textProp, textDocument, 0, quote, includeBullet, quoteColor(quote, options), options.format);
+        for (var i = 0; i < quote.snapshots.length; i++) {
+            var snapshot = quote.snapshots[i];
+            var current = {symbol: quote.symbol, price: snapshot.price, change: snapshot.change, percent: snapshot.percent};
+            var time = Math.max(0, snapshot.time);
+            var limit = i + 1 < quote.snapshots.length ? quote.snapshots[i + 1].time - frame : time + options.transitionDuration;
+            var transition = Math.max(0, Math.min(options.transitionDuration, limit - time));
+            var color = quoteColor(current, options);
+            if (current.price === previous.price && current.change === previous.change && current.percent === previous.percent) {
+                setQuoteTextKey(textProp, textDocument, time, current, includeBullet, color, options.format);
+            } else if (options.updateEffect === "count" && transition >= frame) {
+                var steps = Math.floor(transition / frame);
+                for (var step = 1; step < steps; step++) {
+                    var t = easeInOut(step / steps);
+                    setQuoteTextKey(textProp, textDocument, time + (step - 1) * frame, {
+                        symbol: quote.symbol,
+                        price: previous.price + (current.price - previous.price) * t,
+                        change: previous.change + (current.change - previous.change) * t,
+                        percent: previous.percent + (current.percent - previous.percent) * t
+                    }, includeBullet, color, options.format);
+                }
+                setQuoteTextKey(textProp, textDocument, time + (steps - 1) * frame, current, includeBullet, color, options.format);
+            } else if (options.updateEffect === "flash" && transition >= frame) {
+                setQuoteTextKey(textProp, textDocument, time, current, includeBullet, options.flashColor, options.format);
+                setQuoteTextKey(textProp, textDocument, time + transition, current, includeBullet, color, options.format);
+            } else {
+                setQuoteTextKey(textProp, textDocument, time, current, includeBullet, color, options.format);
+            }
+            previous = current;
+        }
+    }
+
+    function createQuoteLayer(comp, controlLayer, quote, includeBullet, options) {
+        var textLayer = comp.layers.addText(formatTicker(quote, includeBullet, options.format));
+        textLayer.name = quote.symbol + QUOTE_SUFFIX;
+        textLayer.moveBefore(controlLayer);
+
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.value;
+        textDocument.font = options.font;
+        textDocument.fontSize = options.fontSize;
+        textDocument.applyFill = true;
+        textDocument.fillColor = quoteColor(quote, options);
+        textDocument.applyStroke = false;
+        textDocument.tracking = options.tracking;
+        if (typeof ParagraphJustification !== "undefined") {
+            textDocument.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+        textProp.setValue(textDocument);
+        applyQuoteSnapshots(textLayer, quote, includeBullet, options);
+        return textLayer;
+    }
+
+    function updateQuoteLayer(textLayer, quote, includeBullet, options) {
+        // Only the copy and fill change; font, size and any other manual styling stay as they are.
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.valueAtTime(0, false);
+        clearKeys(textProp);
+        textDocument.text = formatTicker(quote, includeBullet, options.format);
+        textDocument.applyFill = true;
+        textDocument.fillColor = quoteColor(quote, options);
+        textProp.setValue(textDocument);
+        applyQuoteSnapshots(textLayer, quote, includeBullet, options);
+    }
+
+    function measureQuoteLayer(layer) {
+        // Size the slot for the widest value the quote ever shows so neighbours never shift.
+        var rect = layer.sourceRectAtTime(0, false);
+        var width = rect.width;
+        var textProp = layer.property("ADBE Text Properties").property("ADBE Text Document");
+        for (var k = 1; k <= textProp.numKeys; k++) {
+            width = Math.max(width, layer.sourceRectAtTime(textProp.keyTime(k), false).width);
+        }
+        return {left: rect.left, top: rect.top, height: rect.height, width: width};
+    }
+
+    function sparklineShape(prices, width, height) {
+        var low = prices[0];
+        var high = prices[0];
+        for (var i = 1; i < prices.length; i++) {
+            low = Math.min(low, prices[i]);
+            high = Math.max(high, prices[i]);
+        }
+        var vertices = [];
+        for (var p = 0; p < prices.length; p++) {
+            vertices.push([
+                width * p / Math.max(1, prices.length - 1),
+                high > low ? height / 2 - height * (prices[p] - low) / (high - low) : 0
+            ]);
+        }
+        var shape = new Shape();
+        shape.vertices = vertices;
+        shape.closed = false;
+        return shape;
+    }
+
+    function updateSparklineLayer(sparkLayer, quote, options) {
+        var contents = sparkLayer.property("ADBE Root Vectors Group").property("Sparkline").property("ADBE Vectors Group");
+        var height = sparkLayer.containingComp.height * options.sparklineHeight;
+        contents.property("ADBE Vector Shape - Group").property("ADBE Vector Shape").setValue(
+            sparklineShape(quote.sparkline, options.sparklineWidth, height)
+        );
+
+        // The line takes the quote's gain/loss color and switches with it at each snapshot.
+        var colorProp = contents.property("ADBE Vector Graphic - Stroke").property("ADBE Vector Stroke Color");
+        clearKeys(colorProp);
+        colorProp.setValue(quoteColor(quote, options));
+        if (!quote.snapshots || !quote.snapshots.length) {
+            return;
+        }
+        colorProp.setValueAtTime(0, quoteColor(quote, options));
+        for (var i = 0; i < quote.snapshots.length; i++) {
+            colorProp.setValueAtTime(Math.max(0, quote.snapshots[i].time), quoteColor(quote.snapshots[i], options));
+        }
+        for (var k = 1; k <= colorProp.numKeys; k++) {
+            colorProp.setInterpolationTypeAtKey(k, KeyframeInterpolationType.HOLD, KeyframeInterpolationType.HOLD);
+        }
+    }
+
+    /**
+     * Draws a quote's recent prices as an open path, parented to its text layer so it scrolls
+     * with the quote; layoutQuoteLayers places it after the text.
+     */
+    function createSparklineLayer(comp, textLayer, quote, options) {
+        var sparkLayer = comp.layers.addShape();
+        sparkLayer.name = quote.symbol + SPARKLINE_SUFFIX;
+        var group = sparkLayer.property("ADBE Root Vectors Group").addProperty("ADBE Vector Group");
+        group.name = "Sparkline";
+        var shapes = group.property("ADBE Vectors Group");
+        shapes.addProperty("ADBE Vector Shape - Group");
+        var stroke = shapes.addProperty("ADBE Vector Graphic - Stroke");
+        stroke.property("ADBE Vector Stroke Width").setValue(options.sparklineStrokeWidth);
+        stroke.property("ADBE Vector Stroke Line Cap").setValue(2); // round
+        stroke.property("ADBE Vector Stroke Line Join").setValue(2); // round
+        sparkLayer.moveAfter(textLayer);
+        sparkLayer.parent = textLayer;
+        updateSparklineLayer(sparkLayer, quote, options);
+        return sparkLayer;
+    }
+
+    function findProjectItem(name, folder) {
+        var items = folder ? folder.items : app.project.items;
+        for (var i = 1; i <= items.length; i++) {
+            if (items[i].name === name) {
+                return items[i];
+            }
+        }
+        return null;
+    }
+
+    function logoFolderItem() {
+        var folder = findProjectItem(LOGO_FOLDER_NAME, null);
+        if (!(folder instanceof FolderItem)) {
+            folder = app.project.items.addFolder(LOGO_FOLDER_NAME);
+        }
+        return folder;
+    }
+
+    function findLogoFiles(folder) {
+        var bySymbol = {};
+        var files = folder.getFiles();
+        for (var i = 0; i < files.length; i++) {
+            if (!(files[i] instanceof File)) {
+                continue;
+            }
+            var name = File.decode(files[i].name);
+            var dot = name.lastIndexOf(".");
+            if (dot <= 0 || indexOf(LOGO_EXTENSIONS, name.substring(dot + 1).toLowerCase()) === -1) {
+                continue;
+            }
+            bySymbol[name.substring(0, dot).toUpperCase()] = files[i];
+        }
+        return bySymbol;
+    }
+
+    /**
+     * Imports the logo file for each quote (named by symbol, e.g. BRK.B.svg) into the logos
+     * folder, reusing footage that was imported from the same file before. Returns the footage by
+     * symbol; symbols without a usable file are left out and get a badge instead.
+     */
+    function importLogos(folder, quotes, warnings) {
+        var logos = {};
+        if (!folder.exists) {
+            warnings.push("Logo folder not found: " + folder.fsName);
+            return logos;
+        }
+        var files = findLogoFiles(folder);
+        var binFolder = null;
+        for (var i = 0; i < quotes.length; i++) {
+            var symbol = quotes[i].symbol;
+            if (!files.hasOwnProperty(symbol) || logos.hasOwnProperty(symbol)) {
+                continue;
+            }
+            var file = files[symbol];
+            binFolder = binFolder || logoFolderItem();
+            var footage = null;
+            for (var j = 1; j <= binFolder.items.length && !footage; j++) {
+                var item = binFolder.items[j];
+                if (item instanceof FootageItem && item.file && item.file.fsName === file.fsName) {
+                    footage = item;
+                }
+            }
+            if (!footage) {
+                try {
+                    footage = app.project.importFile(new ImportOptions(file));
+                    footage.parentFolder = binFolder;
+                } catch (err) {
+                    warnings.push(symbol + ": could not import " + File.decode(file.name) + " (" + err.toString() + "), using a badge");
+                    continue;
+                }
+            }
+            logos[symbol] = footage;
+        }
+        return logos;
+    }
+
+    /**
+     * Builds (or reuses) a square precomp with the symbol's initial on a rounded tile, used in
+     * place of a logo when the folder has no image for the symbol.
+     */
+    function logoBadgeComp(symbol, size, duration, frameRate, options) {
+        var binFolder = logoFolderItem();
+        var name = symbol + " Logo Badge";
+        var existing = findProjectItem(name, binFolder);
+        if (existing instanceof CompItem && existing.width === size && existing.duration >= duration) {
+            return existing;
+        }
+        var badge = binFolder.items.addComp(name, size, size, 1, duration, frameRate);
+
+        var tileLayer = badge.layers.addShape();
+        tileLayer.name = "Tile";
+        var group = tileLayer.property("ADBE Root Vectors Group").addProperty("ADBE Vector Group");
+        var shapes = group.property("ADBE Vectors Group");
+        var tile = shapes.addProperty("ADBE Vector Shape - Rect");
+        tile.property("ADBE Vector Rect Size").setValue([size, size]);
+        tile.property("ADBE Vector Rect Roundness").setValue(size / 5);
+        var fill = shapes.addProperty("ADBE Vector Graphic - Fill");
+        fill.property("ADBE Vector Fill Color").setValue(options.strokeColor);
+        tileLayer.property("ADBE Transform Group").property("Position").setValue([size / 2, size / 2]);
+
+        var initialLayer = badge.layers.addText(symbol.charAt(0));
+        initialLayer.name = "Initial";
+        var textProp = initialLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.value;
+        textDocument.font = options.font;
+        textDocument.fontSize = size * 0.6;
+        textDocument.applyFill = true;
+        textDocument.fillColor = options.neutralColor;
+        textDocument.applyStroke = false;
+        textProp.setValue(textDocument);
+        var rect = initialLayer.sourceRectAtTime(0, false);
+        initialLayer.property("ADBE Transform Group").property("Anchor Point").setValue([
+            rect.left + rect.width / 2,
+            rect.top + rect.height / 2
+        ]);
+        initialLayer.property("ADBE Transform Group").property("Position").setValue([size / 2, size / 2]);
+        return badge;
+    }
+
+    /**
+     * Shows the quote's logo (or its badge) in a "<SYMBOL> Logo" layer parented to the quote,
+     * scaled so it is the configured share of the bar height.
+     */
+    function syncLogoLayer(comp, textLayer, logoLayer, quote, options) {
+        var size = Math.max(1, Math.round(comp.height * options.logoHeight));
+        var source = options.logos.hasOwnProperty(quote.symbol) ? options.logos[quote.symbol] : null;
+        if (!source) {
+            source = logoBadgeComp(quote.symbol, size, comp.duration, comp.frameRate, options);
+        }
+        if (!logoLayer) {
+            logoLayer = comp.layers.add(source);
+            logoLayer.name = quote.symbol + LOGO_SUFFIX;
+        } else if (logoLayer.source !== source) {
+            logoLayer.replaceSource(source, false);
+        }
+        logoLayer.moveBefore(textLayer);
+        logoLayer.parent = textLayer;
+        var scale = 100 * size / Math.max(1, source.height);
+        logoLayer.property("ADBE Transform Group").property("Scale").setValue([scale, scale]);
+        return logoLayer;
+    }
+
+    function headerLabel(group) {
+        return group.toUpperCase();
+    }
+
+    function createHeaderLayer(comp, controlLayer, header, options) {
+        var textLayer = comp.layers.addText(headerLabel(header.group));
+        textLayer.name = header.group + HEADER_SUFFIX;
+        textLayer.moveBefore(controlLayer);
+
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.value;
+        textDocument.font = options.font;
+        textDocument.fontSize = options.fontSize * options.headerSize;
+        textDocument.applyFill = true;
+        textDocument.fillColor = options.headerTextColor;
+        textDocument.applyStroke = false;
+        textDocument.tracking = options.tracking;
+        if (typeof ParagraphJustification !== "undefined") {
+            textDocument.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+        textProp.setValue(textDocument);
+        return textLayer;
+    }
+
+    function updateHeaderLayer(textLayer, header, options) {
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.valueAtTime(0, false);
+        clearKeys(textProp);
+        textDocument.text = headerLabel(header.group);
+        textDocument.applyFill = true;
+        textDocument.fillColor = options.headerTextColor;
+        textProp.setValue(textDocument);
+    }
+
+    /**
+     * Draws a header's chip (a rounded tile in the group color behind the label) and the divider
+     * that stands in for the bullet before it, in a "<Group> Header Chip" layer parented to the
+     * header text. layoutQuoteLayers sizes both to the label.
+     */
+    function syncHeaderChip(comp, textLayer, chipLayer, header, options) {
+        if (!chipLayer) {
+            chipLayer = comp.layers.addShape();
+            chipLayer.name = header.group + HEADER_CHIP_SUFFIX;
+            var root = chipLayer.property("ADBE Root Vectors Group");
+            root.addProperty("ADBE Vector Group").name = "Divider";
+            root.addProperty("ADBE Vector Group").name = "Chip";
+            var dividerShapes = root.property("Divider").property("ADBE Vectors Group");
+            dividerShapes.addProperty("ADBE Vector Shape - Group");
+            dividerShapes.addProperty("ADBE Vector Graphic - Stroke").property("ADBE Vector Stroke Width").setValue(options.sparklineStrokeWidth);
+            var chipShapes = root.property("Chip").property("ADBE Vectors Group");
+            chipShapes.addProperty("ADBE Vector Shape - Rect");
+            chipShapes.addProperty("ADBE Vector Graphic - Fill");
+        }
+        var contents = chipLayer.property("ADBE Root Vectors Group");
+        contents.property("Chip").property("ADBE Vectors Group").property("ADBE Vector Graphic - Fill")
+            .property("ADBE Vector Fill Color").setValue(header.color);
+        contents.property("Divider").property("ADBE Vectors Group").property("ADBE Vector Graphic - Stroke")
+            .property("ADBE Vector Stroke Color").setValue(options.neutralColor);
+        chipLayer.moveAfter(textLayer);
+        chipLayer.parent = textLayer;
+        return chipLayer;
+    }
+
+    function layoutHeaderChip(chipLayer, rect, options) {
+        var padX = rect.height * 0.4;
+        var padY = rect.height * 0.25;
+        var middle = rect.top + rect.height / 2;
+        var height = rect.height + 2 * padY;
+        var contents = chipLayer.property("ADBE Root Vectors Group");
+        var tile = contents.property("Chip").property("ADBE Vectors Group").property("ADBE Vector Shape - Rect");
+        tile.property("ADBE Vector Rect Size").setValue([rect.width + 2 * padX, height]);
+        tile.property("ADBE Vector Rect Position").setValue([rect.left + rect.width / 2, middle]);
+        tile.property("ADBE Vector Rect Roundness").setValue(height / 4);
+
+        // A roll shows one entry at a time, so there is nothing for the divider to separate.
+        var divided = options.style !== "roll";
+        var dividerX = rect.left - padX - options.gap;
+        var divider = new Shape();
+        divider.vertices = [[dividerX, middle - height / 2], [dividerX, middle + height / 2]];
+        divider.closed = false;
+        contents.property("Divider").property("ADBE Vectors Group").property("ADBE Vector Shape - Group")
+            .property("ADBE Vector Shape").setValue(divider);
+        contents.property("Divider").enabled = divided;
+        return {lead: divided ? padX + options.gap : padX, trail: padX};
+    }
+
+    /**
+     * Anchors each entry at its left edge, places a quote's logo before and its sparkline after
+     * the text (a header's chip around it) and stores the offsets in "Base Offset". Each entry
+     * sits left of the one before it, so the step between two entries is the previous entry's
+     * lead (logo or divider) plus this entry's text and trail. Returns the total crawl width (for
+     * the controller's "Cycle Width") and the widest entry.
+     */
+    function layoutQuoteLayers(layers, attachments, options) {
+        var totalWidth = 0;
+        var widest = 0;
+        var offset = 0;
+        var previousLead = 0;
+        for (var i = 0; i < layers.length; i++) {
+            var size = placeEntry(layers[i], attachments[i], options);
+            if (i > 0) {
+                offset += previousLead + size.trail + options.gap;
+            }
+            var baseOffset = findSlider(layers[i], "Base Offset");
+            if (!baseOffset) {
+                baseOffset = addSlider(layers[i], "Base Offset", offset);
+            }
+            baseOffset.setValue(offset);
+            previousLead = size.lead;
+            var entryWidth = size.lead + size.trail + options.gap;
+            totalWidth += entryWidth;
+            widest = Math.max(widest, entryWidth);
+        }
+        return {width: totalWidth, widest: widest};
+    }
+
+    /**
+     * Anchors an entry's text at its left edge and places its attachments around it. Returns how
+     * far the entry reaches before the anchor (`lead`: logo or divider) and after it (`trail`).
+     */
+    function placeEntry(layer, attached, options) {
+        var rect = measureQuoteLayer(layer);
+        var middle = rect.top + rect.height / 2;
+        layer.property("ADBE Transform Group").property("Anchor Point").setValue([rect.left, middle]);
+
+        // Attachments are parented, so their positions are in the text layer's own space.
+        var logo = attached.logo;
+        var logoWidth = 0;
+        if (logo) {
+            var logoScale = logo.property("ADBE Transform Group").property("Scale").value[0] / 100;
+            logoWidth = logo.source.width * logoScale;
+            logo.property("ADBE Transform Group").property("Anchor Point").setValue([logo.source.width / 2, logo.source.height / 2]);
+            logo.property("ADBE Transform Group").property("Position").setValue([
+                rect.left - options.logoGap - logoWidth / 2,
+                middle
+            ]);
+            logoWidth += options.logoGap;
+        }
+        var sparkline = attached.sparkline;
+        var sparklineWidth = 0;
+        if (sparkline) {
+            sparkline.property("ADBE Transform Group").property("Position").setValue([
+                rect.left + rect.width + options.sparklineGap,
+                middle
+            ]);
+            sparklineWidth = options.sparklineGap + options.sparklineWidth;
+        }
+        var lead = logoWidth;
+        var trail = rect.width + sparklineWidth;
+        if (attached.chip) {
+            var chipSize = layoutHeaderChip(attached.chip, rect, options);
+            lead += chipSize.lead;
+            trail += chipSize.trail;
+        }
+        return {lead: lead, trail: trail, rect: rect};
+    }
+
+    function loopRepeatCount(sequenceWidth, widestEntry, visibleWidth) {
+        // A quote jumps back to the right edge once it has travelled "Cycle Width", so the crawl must
+        // span the visible lane plus the widest quote before that jump happens out of sight.
+        return Math.max(1, Math.ceil((visibleWidth + widestEntry) / Math.max(1, sequenceWidth)));
+    }
+
+    function snapLoopSpeed(speed, span, duration) {
+        var cycles = Math.max(1, Math.round(Math.abs(speed) * duration / span));
+        return (speed < 0 ? -1 : 1) * cycles * span / duration;
+    }
+
+    function parseQuoteLayerName(name, suffix) {
+        var suffixAt = name.lastIndexOf(suffix);
+        if (suffixAt <= 0) {
+            return null;
+        }
+        var rest = name.substring(suffixAt + suffix.length);
+        if (rest.length && !/^ \d+$/.test(rest)) {
+            return null;
+        }
+        return {
+            symbol: name.substring(0, suffixAt),
+            copy: rest.length ? parseInt(rest, 10) : 1
+        };
+    }
+
+    function isEntryLayer(layer) {
+        return findEffect(layer, "Base Offset") !== null || findEffect(layer, "Slot") !== null;
+    }
+
+    /**
+     * Finds the builder's layers by name: quote text ("<SYMBOL> Quote"), section headers
+     * ("<Group> Header") and board cells ("<SYMBOL> Board"), all with a "Base Offset" or "Slot"
+     * slider, plus the logos, sparklines and header chips parented to them. Numbered copies are
+     * repeats.
+     */
+    function collectQuoteLayers(comp) {
+        var found = {bySymbol: {}, headers: {}, boards: {}, logos: {}, sparklines: {}, chips: {}, repeats: []};
+        var entryKinds = [
+            {suffix: QUOTE_SUFFIX, target: found.bySymbol},
+            {suffix: HEADER_SUFFIX, target: found.headers},
+            {suffix: BOARD_SUFFIX, target: found.boards}
+        ];
+        var attachmentKinds = [
+            {suffix: LOGO_SUFFIX, target: found.logos},
+            {suffix: SPARKLINE_SUFFIX, target: found.sparklines},
+            {suffix: HEADER_CHIP_SUFFIX, target: found.chips}
+        ];
+        for (var i = 1; i <= comp.numLayers; i++) {
+            var layer = comp.layer(i);
+            var parsed = null;
+            var target = null;
+            var kinds = [];
+            if (isEntryLayer(layer)) {
+                kinds = entryKinds;
+            } else if (layer.parent && isEntryLayer(layer.parent)) {
+                kinds = attachmentKinds;
+            }
+            for (var k = 0; k < kinds.length && !parsed; k++) {
+                parsed = parseQuoteLayerName(layer.name, kinds[k].suffix);
+                target = kinds[k].target;
+            }
+            if (!parsed) {
+                continue;
+            }
+            if (parsed.copy > 1) {
+                found.repeats.push(layer);
+            } else {
+                target[parsed.symbol] = layer;
+            }
+        }
+        return found;
+    }
+
+    function removeUnkept(layersBySymbol, keep) {
+        for (var symbol in layersBySymbol) {
+            if (layersBySymbol.hasOwnProperty(symbol) && !(keep && keep.hasOwnProperty(symbol))) {
+                layersBySymbol[symbol].remove();
+            }
+        }
+    }
+
+    /**
+     * Clears what another style (or an earlier build) left behind: perfect-loop repeats always,
+     * plus each of the "crawl" text layer, the "board" cells and tiles and the per-symbol
+     * "entries" (quotes, headers and their attachments) unless listed in `keep`.
+     */
+    function removeStyleLayers(comp, existing, keep) {
+        for (var r = 0; r < existing.repeats.length; r++) {
+            existing.repeats[r].remove();
+        }
+        var crawlLayer = findLayer(comp, CRAWL_NAME);
+        if (crawlLayer && indexOf(keep, "crawl") === -1) {
+            crawlLayer.remove();
+        }
+        if (indexOf(keep, "board") === -1) {
+            removeUnkept(existing.boards, null);
+            var tilesLayer = findLayer(comp, BOARD_TILES_NAME);
+            if (tilesLayer) {
+                tilesLayer.remove();
+            }
+        }
+        if (indexOf(keep, "entries") === -1) {
+            removeUnkept(existing.bySymbol, null);
+            removeUnkept(existing.logos, null);
+            removeUnkept(existing.sparklines, null);
+            removeUnkept(existing.headers, null);
+            removeUnkept(existing.chips, null);
+        }
+    }
+
+    function compareQuotes(mode) {
+        return function (a, b) {
+            var order = 0;
+            if (mode === "symbol") {
+                order = a.quote.symbol < b.quote.symbol ? -1 : (a.quote.symbol > b.quote.symbol ? 1 : 0);
+            } else if (mode === "percent") {
+                order = b.quote.percent - a.quote.percent;
+            }
+            // Array.sort is not guaranteed to be stable, so ties keep their listed order explicitly.
+            return order !== 0 ? order : a.index - b.index;
+        };
+    }
+
+    /**
+     * Lists the entries in reading order: {quote, includeBullet} or, before each group,
+     * {header, group, color}. Ungrouped quotes lead without a header, groups follow in order of
+     * first appearance (sorted inside when asked), and a quote followed by a header drops its
+     * bullet for the header's divider.
+     */
+    function readingEntries(quotes, options) {
+        var groups = [""];
+        var members = {"g:": []};
+        for (var i = 0; i < quotes.length; i++) {
+            var key = "g:" + (quotes[i].group || "");
+            if (!members.hasOwnProperty(key)) {
+                groups.push(quotes[i].group);
+                members[key] = [];
+            }
+            members[key].push({quote: quotes[i], index: i});
+        }
+        var sortMode = options.sortQuotes || "none";
+        var reading = [];
+        for (var g = 0; g < groups.length; g++) {
+            var list = members["g:" + groups[g]];
+            if (sortMode !== "none") {
+                list.sort(compareQuotes(sortMode));
+            }
+            if (groups[g] !== "") {
+                reading.push({header: true, group: groups[g], color: groupColor(groups[g], g - 1, options)});
+            }
+            for (var m = 0; m < list.length; m++) {
+                reading.push({quote: list[m].quote, index: list[m].index});
+            }
+        }
+        for (var r = 0; r < reading.length; r++) {
+            if (reading[r].header) {
+                continue;
+            }
+            var next = r + 1 < reading.length ? reading[r + 1] : (options.perfectLoop ? reading[0] : null);
+            reading[r].includeBullet = next !== null && !next.header;
+        }
+        return reading;
+    }
+
+    function hasGroups(quotes) {
+        for (var i = 0; i < quotes.length; i++) {
+            if (quotes[i].group) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Puts the crawl entries in layer order. Quotes read from the first layer and then backwards
+     * (each layer sits left of the one before it), so with groups or sorting the reading order is
+     * rotated into layer order; a plain list keeps its own order.
+     */
+    function arrangeQuotes(quotes, options) {
+        var items = [];
+        if (!hasGroups(quotes) && (options.sortQuotes || "none") === "none") {
+            for (var q = 0; q < quotes.length; q++) {
+                items.push({quote: quotes[q], index: q, includeBullet: options.perfectLoop || q !== quotes.length - 1});
+            }
+            return items;
+        }
+        var reading = readingEntries(quotes, options);
+        items.push(reading[0]);
+        for (var n = reading.length - 1; n >= 1; n--) {
+            items.push(reading[n]);
+        }
+        return items;
+    }
+
+    function groupColor(group, index, options) {
+        if (options.groupColors && options.groupColors.hasOwnProperty(group)) {
+            return options.groupColors[group];
+        }
+        return GROUP_PALETTE[index % GROUP_PALETTE.length];
+    }
+
+    function syncQuoteEntry(comp, controlLayer, existing, item, options) {
+        var symbol = item.quote.symbol;
+        var layer = existing.bySymbol.hasOwnProperty(symbol) ? existing.bySymbol[symbol] : null;
+        if (layer) {
+            updateQuoteLayer(layer, item.quote, item.includeBullet, options);
+            layer.moveBefore(controlLayer);
+        } else {
+            layer = createQuoteLayer(comp, controlLayer, item.quote, item.includeBullet, options);
+        }
+        layer.property("ADBE Transform Group").property("Position").expression = entryPositionExpression(options);
+        layer.property("ADBE Transform Group").property("Scale").expression = options.style === "roll" ? "" : spotlightScaleExpression();
+        // 1-based place in the symbol list, which "Spotlight Index" picks by.
+        ensureSlider(layer, "Symbol Index", item.index + 1).setValue(item.index + 1);
+
+        var logoLayer = existing.logos.hasOwnProperty(symbol) ? existing.logos[symbol] : null;
+        if (options.logos) {
+            logoLayer = syncLogoLayer(comp, layer, logoLayer, item.quote, options);
+        } else if (logoLayer) {
+            logoLayer.remove();
+            logoLayer = null;
+        }
+
+        var sparkLayer = existing.sparklines.hasOwnProperty(symbol) ? existing.sparklines[symbol] : null;
+        if (sparkLayer && !item.quote.sparkline) {
+            sparkLayer.remove();
+            sparkLayer = null;
+        } else if (sparkLayer) {
+            updateSparklineLayer(sparkLayer, item.quote, options);
+            sparkLayer.moveAfter(layer);
+            sparkLayer.parent = layer;
+        } else if (item.quote.sparkline) {
+            sparkLayer = createSparklineLayer(comp, layer, item.quote, options);
+        }
+        return {layer: layer, attachments: {logo: logoLayer, sparkline: sparkLayer, chip: null}};
+    }
+
+    function syncHeaderEntry(comp, controlLayer, existing, item, options) {
+        var layer = existing.headers.hasOwnProperty(item.group) ? existing.headers[item.group] : null;
+        if (layer) {
+            updateHeaderLayer(layer, item, options);
+            layer.moveBefore(controlLayer);
+        } else {
+            layer = createHeaderLayer(comp, controlLayer, item, options);
+        }
+        layer.property("ADBE Transform Group").property("Position").expression = entryPositionExpression(options);
+        var chipLayer = existing.chips.hasOwnProperty(item.group) ? existing.chips[item.group] : null;
+        chipLayer = syncHeaderChip(comp, layer, chipLayer, item, options);
+        return {layer: layer, attachments: {logo: null, sparkline: null, chip: chipLayer}};
+    }
+
+    function repeatAttachment(layer, repeat, copy, above) {
+        if (!layer) {
+            return null;
+        }
+        var copyLayer = layer.duplicate();
+        copyLayer.name = layer.name + " " + copy;
+        if (above) {
+            copyLayer.moveBefore(repeat);
+        } else {
+            copyLayer.moveAfter(repeat);
+        }
+        copyLayer.parent = repeat;
+        return copyLayer;
+    }
+
+    /**
+     * Creates or refreshes one "<SYMBOL> Quote" layer per quote (above the controller, in the
+     * order arrangeQuotes gives) with its "<SYMBOL> Logo" when a logo folder is set and a
+     * "<SYMBOL> Sparkline" for quotes with recent prices, plus a "<Group> Header" with its chip
+     * for each group. Removes layers for symbols and groups that are gone, adds the repeats
+     * perfect-loop mode needs and lays everything out. Returns the crawl width for "Cycle Width".
+     */
+    function syncQuoteLayers(comp, controlLayer, quotes, options) {
+        var existing = collectQuoteLayers(comp);
+        removeStyleLayers(comp, existing, ["entries"]);
+        syncSpotlightControls(comp, controlLayer, quotes, options);
+        syncLaneDistance(controlLayer, QUOTE_LANE, options);
+
+        var items = arrangeQuotes(quotes, options);
+        var sequence = [];
+        var attachments = [];
+        var keep = {};
+        var keepHeaders = {};
+        for (var i = 0; i < items.length; i++) {
+            var entry;
+            if (items[i].header) {
+                entry = syncHeaderEntry(comp, controlLayer, existing, items[i], options);
+                keepHeaders[items[i].group] = true;
+            } else {
+                entry = syncQuoteEntry(comp, controlLayer, existing, items[i], options);
+                keep[items[i].quote.symbol] = true;
+            }
+            sequence.push(entry.layer);
+            attachments.push(entry.attachments);
+        }
+
+        removeUnkept(existing.bySymbol, keep);
+        removeUnkept(existing.logos, keep);
+        removeUnkept(existing.sparklines, keep);
+        removeUnkept(existing.headers, keepHeaders);
+        removeUnkept(existing.chips, keepHeaders);
+
+        var layout = layoutQuoteLayers(sequence, attachments, options);
+        if (!options.perfectLoop) {
+            return layout.width;
+        }
+
+        var copies = loopRepeatCount(layout.width, layout.widest, visibleLaneWidth(controlLayer));
+        var allLayers = sequence.slice();
+        var allAttachments = attachments.slice();
+        for (var c = 2; c <= copies; c++) {
+            for (var s = 0; s < sequence.length; s++) {
+                var repeat = sequence[s].duplicate();
+                repeat.name = sequence[s].name + " " + c;
+                repeat.moveBefore(controlLayer);
+                // Only the original stops for the spotlight.
+                var repeatIndex = findSlider(repeat, "Symbol Index");
+                if (repeatIndex) {
+                    repeatIndex.setValue(0);
+                }
+                allLayers.push(repeat);
+                allAttachments.push({
+                    logo: repeatAttachment(attachments[s].logo, repeat, c, true),
+                    sparkline: repeatAttachment(attachments[s].sparkline, repeat, c, false),
+                    chip: repeatAttachment(attachments[s].chip, repeat, c, false)
+                });
+            }
+        }
+        return copies > 1 ? layoutQuoteLayers(allLayers, allAttachments, options).width : layout.width;
+    }
+
+    function spotlightIndex(quotes, symbol) {
+        for (var i = 0; i < quotes.length; i++) {
+            if (quotes[i].symbol === symbol) {
+                return i + 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Adds the spotlight controls the crawl expressions read. The checkbox, index and timing
+     * follow the panel unless keyframed; scale and "Spotlight X" are left for hand tweaks.
+     */
+    function syncSpotlightControls(comp, controlLayer, quotes, options) {
+        var index = spotlightIndex(quotes, options.spotlightSymbol);
+        ensureCheckbox(controlLayer, "Spotlight", options.spotlight && index > 0);
+        var indexControl = ensureSlider(controlLayer, "Spotlight Index", index);
+        if (index > 0) {
+            setUnlessKeyed(indexControl, index);
+        }
+        setUnlessKeyed(ensureSlider(controlLayer, "Spotlight Time (s)", options.spotlightTime), options.spotlightTime);
+        setUnlessKeyed(ensureSlider(controlLayer, "Spotlight Hold (s)", options.spotlightHold), options.spotlightHold);
+        setUnlessKeyed(ensureSlider(controlLayer, "Spotlight Ease (s)", options.spotlightEase), options.spotlightEase);
+        ensureSlider(controlLayer, "Spotlight Scale (%)", options.spotlightScale);
+        ensureSlider(controlLayer, "Spotlight X", visibleCenterX(comp, controlLayer));
+        ensureSlider(controlLayer, "Spotlight Travel", -1).expression = spotlightLookupExpression("travel");
+        ensureSlider(controlLayer, "Spotlight Width", 0).expression = spotlightLookupExpression("width");
+    }
+
+    /**
+     * The highlight box behind the resting symbol: centered on "Spotlight X" / "Baseline Y",
+     * sized from "Spotlight Width" at full spotlight scale, and faded in and out with the zoom.
+     * Removed unless the spotlight is on for a layer-per-symbol crawl.
+     */
+    function syncSpotlightBox(comp, controlLayer, options) {
+        var boxLayer = findLayer(comp, SPOTLIGHT_BOX_NAME);
+        if (boxLayer) {
+            boxLayer.remove();
+        }
+        if (!options.spotlight || options.style !== "crawl" || options.renderMode === "single") {
+            return;
+        }
+        boxLayer = comp.layers.addShape();
+        boxLayer.name = SPOTLIGHT_BOX_NAME;
+        var group = boxLayer.property("Contents").addProperty("ADBE Vector Group");
+        group.name = "Box";
+        var shapes = group.property("Contents");
+        var rect = shapes.addProperty("ADBE Vector Shape - Rect");
+        rect.property("ADBE Vector Rect Roundness").setValue(options.fontSize * 0.15);
+        rect.property("ADBE Vector Rect Size").expression =
+            'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var scale = ctrl.effect("Spotlight Scale (%)")("Slider") / 100;\n' +
+            '[ctrl.effect("Spotlight Width")("Slider") * scale + ' + options.fontSize * 0.6 + ', ' + options.fontSize * 1.3 + ' * scale];';
+        var color = options.spotlightColor;
+        var fill = shapes.addProperty("ADBE Vector Graphic - Fill");
+        fill.property("ADBE Vector Fill Color").setValue([color[0], color[1], color[2], 1]);
+        fill.property("ADBE Vector Fill Opacity").setValue(20);
+        var stroke = shapes.addProperty("ADBE Vector Graphic - Stroke");
+        stroke.property("ADBE Vector Stroke Color").setValue([color[0], color[1], color[2], 1]);
+        stroke.property("ADBE Vector Stroke Width").setValue(4);
+
+        var transform = boxLayer.property("ADBE Transform Group");
+        transform.property("Position").expression =
+            'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            '[ctrl.effect("Spotlight X")("Slider"), ctrl.effect("Baseline Y")("Slider")];';
+        transform.property("Opacity").expression = 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            spotlightGrowExpression() +
+            'grow * value;';
+        var backgroundLayer = findLayer(comp, "Ticker Background");
+        if (backgroundLayer) {
+            boxLayer.moveBefore(backgroundLayer);
+        } else {
+            boxLayer.moveBefore(controlLayer);
+        }
+    }
+
+    function crawlPositionExpression(lane) {
+        return controllerExpression(lane) +
+            'var copies = effect("Copies")("Slider");\n' +
+            'var travel = (start + distance) % span;\n' +
+            'if (travel < 0) travel += span;\n' +
+            'var x = rightEdge - travel - (copies - 1) * span;\n' +
+            '[x, baseline];';
+    }
+
+    /**
+     * Lists the crawl entries in screen order from arrangeQuotes' layer order. The per-symbol
+     * layers place each entry to the left of the one before it, so the crawl starts with the
+     * first entry and then runs backwards. Headers are left out; the grouped order stays.
+     */
+    function crawlEntries(items, format) {
+        var entries = [];
+        for (var n = 0; n < items.length; n++) {
+            var item = items[n === 0 ? 0 : items.length - n];
+            if (!item.header) {
+                entries.push({text: formatTicker(item.quote, true, format), change: item.quote.change});
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Joins the entries into the crawl text and collects the character ranges (start inclusive,
+     * end exclusive) of gains and losses; neighbouring entries of the same kind share one range.
+     */
+    function buildCrawlText(entries, separator, copies) {
+        var parts = [];
+        var runs = {positive: [], negative: []};
+        var length = 0;
+        var lastKind = null;
+        for (var c = 0; c < copies; c++) {
+            for (var i = 0; i < entries.length; i++) {
+                var kind = null;
+                if (entries[i].change > 0) {
+                    kind = "positive";
+                } else if (entries[i].change < 0) {
+                    kind = "negative";
+                }
+                var end = length + entries[i].text.length;
+                if (kind && kind === lastKind) {
+                    runs[kind][runs[kind].length - 1][1] = end;
+                } else if (kind) {
+                    runs[kind].push([length, end]);
+                }
+                lastKind = kind;
+                parts.push(entries[i].text + separator);
+                length = end + separator.length;
+            }
+        }
+        return {text: parts.join(""), runs: runs};
+    }
+
+    function measureText(layer, textProp, textDocument, text) {
+        textDocument.text = text;
+        textProp.setValue(textDocument);
+        return layer.sourceRectAtTime(0, false).width;
+    }
+
+    function measurePass(layer, textProp, textDocument, pass) {
+        // Measured against a marker so trailing spaces count.
+        var span = measureText(layer, textProp, textDocument, pass + pass + "|") -
+            measureText(layer, textProp, textDocument, pass + "|");
+        return Math.max(1, span);
+    }
+
+    function addCrawlColorAnimator(textLayer, name, color, ranges) {
+        if (!ranges.length) {
+            return;
+        }
+        var animators = textLayer.property("ADBE Text Properties").property("ADBE Text Animators");
+        var animatorIndex = animators.addProperty("ADBE Text Animator").propertyIndex;
+        // Adding properties invalidates sibling references, so the animator is looked up again each time.
+        function animator() {
+            return textLayer.property("ADBE Text Properties").property("ADBE Text Animators").property(animatorIndex);
+        }
+        animator().name = name;
+        animator().property("ADBE Text Animator Properties").addProperty("ADBE Text Fill Color").setValue(color);
+        for (var i = 0; i < ranges.length; i++) {
+            var selector = animator().property("ADBE Text Selectors").addProperty("ADBE Text Selector");
+            var advanced = selector.property("ADBE Text Range Advanced");
+            advanced.property("ADBE Text Range Units").setValue(2); // index
+            advanced.property("ADBE Text Range Type2").setValue(1); // characters
+            selector.property("ADBE Text Index Start").setValue(ranges[i][0]);
+            selector.property("ADBE Text Index End").setValue(ranges[i][1]);
+        }
+    }
+
+    function applyCrawlColors(textLayer, runs, options) {
+        var animators = textLayer.property("ADBE Text Properties").property("ADBE Text Animators");
+        for (var i = animators.numProperties; i >= 1; i--) {
+            if (indexOf(CRAWL_COLOR_ANIMATORS, animators.property(i).name) !== -1) {
+                animators.property(i).remove();
+            }
+        }
+        addCrawlColorAnimator(textLayer, CRAWL_COLOR_ANIMATORS[0], options.positiveColor, runs.positive);
+        addCrawlColorAnimator(textLayer, CRAWL_COLOR_ANIMATORS[1], options.negativeColor, runs.negative);
+    }
+
+    function createCrawlLayer(comp, controlLayer, options) {
+        var textLayer = comp.layers.addText(CRAWL_NAME);
+        textLayer.name = CRAWL_NAME;
+        textLayer.moveBefore(controlLayer);
+
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.value;
+        textDocument.font = options.font;
+        textDocument.fontSize = options.fontSize;
+        textDocument.applyStroke = false;
+        textDocument.tracking = options.tracking;
+        if (typeof ParagraphJustification !== "undefined") {
+            textDocument.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+        textProp.setValue(textDocument);
+
+        addSlider(textLayer, "Copies", 1);
+        return textLayer;
+    }
+
+    /**
+     * Single-layer mode: the whole crawl is one text layer colored by text animators, repeated
+     * often enough to cover the bar and moved by one scroll expression. Per-symbol layers from
+     * an earlier build are removed. Returns the width of one pass for "Cycle Width".
+     */
+    function syncCrawlLayer(comp, controlLayer, quotes, options) {
+        removeStyleLayers(comp, collectQuoteLayers(comp), ["crawl"]);
+        syncSpotlightControls(comp, controlLayer, quotes, options);
+        syncLaneDistance(controlLayer, QUOTE_LANE, options);
+
+        var textLayer = findLayer(comp, CRAWL_NAME);
+        if (!textLayer) {
+            textLayer = createCrawlLayer(comp, controlLayer, options);
+        }
+        textLayer.moveBefore(controlLayer);
+
+        // Start from the current document so a restyled crawl keeps its font and size.
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.valueAtTime(0, false);
+        clearKeys(textProp);
+        textDocument.applyFill = true;
+        textDocument.fillColor = options.neutralColor;
+
+        // The gap becomes spaces, measured between markers like the pass itself.
+        var spaceWidth = (measureText(textLayer, textProp, textDocument, "|          |") -
+            measureText(textLayer, textProp, textDocument, "||")) / 10;
+        if (!(spaceWidth > 0)) {
+            spaceWidth = options.fontSize / 4;
+        }
+        var separator = new Array(Math.max(1, Math.round(options.gap / spaceWidth)) + 1).join(" ");
+        var entries = crawlEntries(arrangeQuotes(quotes, options), options.format);
+        var span = measurePass(textLayer, textProp, textDocument, buildCrawlText(entries, separator, 1).text);
+
+        var copies = Math.ceil(visibleLaneWidth(controlLayer) / span) + 1;
+        var crawl = buildCrawlText(entries, separator, copies);
+        measureText(textLayer, textProp, textDocument, crawl.text);
+        applyCrawlColors(textLayer, crawl.runs, options);
+
+        var rect = textLayer.sourceRectAtTime(0, false);
+        textLayer.property("ADBE Transform Group").property("Anchor Point").setValue([
+            rect.left,
+            rect.top + rect.height / 2
+        ]);
+        var copiesControl = findSlider(textLayer, "Copies");
+        if (!copiesControl) {
+            copiesControl = addSlider(textLayer, "Copies", copies);
+        }
+        copiesControl.setValue(copies);
+        textLayer.property("ADBE Transform Group").property("Position").expression = crawlPositionExpression();
+        return span;
+    }
+
+    function newsLaneHeight(options) {
+        return options.news ? options.news.height : 0;
+    }
+
+    /**
+     * Reads headlines from a text file (one per line; blank lines and lines starting with "#"
+     * are skipped) or from JSON: a list of strings or of objects with a headline/title/text, on
+     * its own or under "headlines", "news" or "items".
+     */
+    function loadHeadlines(file) {
+        var text = readTextFile(file);
+        var headlines = [];
+        if (!(/\.json$/i.test(file.name) || /^\s*[\[{]/.test(text))) {
+            var lines = text.split(/\r\n|\r|\n/);
+            for (var i = 0; i < lines.length; i++) {
+                var line = trimString(lines[i]);
+                if (line.length && line.charAt(0) !== "#") {
+                    headlines.push(line);
+                }
+            }
+            return headlines;
+        }
+        var parsed = parseJson(text);
+        var list = parsed instanceof Array ? parsed : null;
+        var containers = ["headlines", "news", "items"];
+        for (var c = 0; c < containers.length && !list; c++) {
+            if (parsed && parsed[containers[c]] instanceof Array) {
+                list = parsed[containers[c]];
+            }
+        }
+        if (!list) {
+            throw new Error("Expected a list of headlines or an object with a \"headlines\" list.");
+        }
+        var keys = ["headline", "title", "text"];
+        for (var n = 0; n < list.length; n++) {
+            var entry = list[n];
+            for (var k = 0; k < keys.length && entry !== null && typeof entry === "object"; k++) {
+                if (entry[keys[k]] !== undefined && entry[keys[k]] !== null) {
+                    entry = entry[keys[k]];
+                }
+            }
+            if (entry !== null && typeof entry !== "object" && trimString(entry).length) {
+                headlines.push(trimString(entry));
+            }
+        }
+        return headlines;
+    }
+
+    function fitBackground(comp) {
+        var backgroundLayer = findLayer(comp, "Ticker Background");
+        var group = backgroundLayer ? backgroundLayer.property("ADBE Root Vectors Group").property("Background") : null;
+        if (!group) {
+            return;
+        }
+        group.property("ADBE Vectors Group").property("ADBE Vector Shape - Rect").property("ADBE Vector Rect Size").setValue([comp.width, comp.height]);
+        backgroundLayer.property("ADBE Transform Group").property("Position").setValue([comp.width / 2, comp.height / 2]);
+    }
+
+    /**
+     * Grows or shrinks the comp (and the bar background with it) by the difference between the
+     * news lane it has ("News Lane Height" on the controller) and the one asked for.
+     */
+    function resizeForNewsLane(comp, controlLayer, options) {
+        var laneControl = findSlider(controlLayer, "News Lane Height");
+        var current = laneControl ? laneControl.value : 0;
+        var height = Math.max(16, Math.round(comp.height - current + newsLaneHeight(options)));
+        if (height !== comp.height) {
+            comp.height = height;
+        }
+        if (laneControl || options.news) {
+            ensureSlider(controlLayer, "News Lane Height", newsLaneHeight(options)).setValue(newsLaneHeight(options));
+        }
+        fitBackground(comp);
+    }
+
+    function breakingOpacityExpression(forAlert) {
+        return 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var start = ctrl.effect("Breaking Start (s)")("Slider");\n' +
+            'var length = Math.max(0, ctrl.effect("Breaking Duration (s)")("Slider"));\n' +
+            'var fade = Math.max(thisComp.frameDuration, Math.min(0.25, length / 2));\n' +
+            'var on = 0;\n' +
+            'if (ctrl.effect("Breaking")("Checkbox") > 0) {\n' +
+            '  on = Math.min(linear(time, start, start + fade, 0, 1), linear(time, start + length - fade, start + length, 1, 0));\n' +
+            '}\n' +
+            (forAlert ? 'on * value;' : '(1 - on) * value;');
+    }
+
+    function setUnlessKeyed(slider, value) {
+        // Values the builder works out or takes from the panel win unless someone keyframed them.
+        if (slider.numKeys === 0) {
+            slider.setValue(value);
+        }
+    }
+
+    function createBreakingLayers(comp, controlLayer, news, laneTop) {
+        var bandLayer = comp.layers.addShape();
+        bandLayer.name = BREAKING_BAND_NAME;
+        var group = bandLayer.property("ADBE Root Vectors Group").addProperty("ADBE Vector Group");
+        group.name = "Band";
+        var shapes = group.property("ADBE Vectors Group");
+        shapes.addProperty("ADBE Vector Shape - Rect").property("ADBE Vector Rect Size").setValue([comp.width, news.height]);
+        shapes.addProperty("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color").setValue(news.breakingColor);
+        bandLayer.property("ADBE Transform Group").property("Position").setValue([comp.width / 2, laneTop + news.height / 2]);
+        bandLayer.property("ADBE Transform Group").property("Opacity").expression = breakingOpacityExpression(true);
+        bandLayer.moveBefore(controlLayer);
+
+        var alertLayer = comp.layers.addText(news.breakingLabel + "   " + news.breakingText);
+        alertLayer.name = BREAKING_ALERT_NAME;
+        var textProp = alertLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.value;
+        textDocument.font = news.font;
+        textDocument.fontSize = news.fontSize;
+        textDocument.applyFill = true;
+        textDocument.fillColor = news.breakingTextColor;
+        textDocument.applyStroke = false;
+        if (typeof ParagraphJustification !== "undefined") {
+            textDocument.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+        textProp.setValue(textDocument);
+        var rect = alertLayer.sourceRectAtTime(0, false);
+        alertLayer.property("ADBE Transform Group").property("Anchor Point").setValue([rect.left, rect.top + rect.height / 2]);
+        alertLayer.property("ADBE Transform Group").property("Position").setValue([news.fontSize, laneTop + news.height / 2]);
+        alertLayer.property("ADBE Transform Group").property("Opacity").expression = breakingOpacityExpression(true);
+        alertLayer.moveBefore(controlLayer);
+    }
+
+    /**
+     * Builds the headline lane under the quotes: one "News Crawl" text layer repeated to cover
+     * the bar and scrolled by the "News ..." sliders, plus the Breaking band and alert, which
+     * fade in over the crawl while the "Breaking" checkbox is on. Without a lane, removes them.
+     */
+    function syncNewsLane(comp, controlLayer, options) {
+        var names = [NEWS_CRAWL_NAME, BREAKING_BAND_NAME, BREAKING_ALERT_NAME];
+        var crawlLayer = findLayer(comp, NEWS_CRAWL_NAME);
+        for (var n = 0; n < names.length; n++) {
+            var stale = findLayer(comp, names[n]);
+            if (stale && (stale !== crawlLayer || !options.news)) {
+                stale.remove();
+            }
+        }
+        var news = options.news;
+        if (!news) {
+            return;
+        }
+        var laneTop = comp.height - news.height;
+
+        if (!crawlLayer) {
+            crawlLayer = comp.layers.addText(NEWS_CRAWL_NAME);
+            crawlLayer.name = NEWS_CRAWL_NAME;
+            addSlider(crawlLayer, "Copies", 1);
+        }
+        crawlLayer.moveBefore(controlLayer);
+        var textProp = crawlLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        clearKeys(textProp);
+        var textDocument = textProp.value;
+        textDocument.font = news.font;
+        textDocument.fontSize = news.fontSize;
+        textDocument.applyFill = true;
+        textDocument.fillColor = news.color;
+        textDocument.applyStroke = false;
+        if (typeof ParagraphJustification !== "undefined") {
+            textDocument.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+
+        var pass = news.headlines.join(news.separator) + news.separator;
+        var span = measurePass(crawlLayer, textProp, textDocument, pass);
+        var rightEdge = findSlider(controlLayer, "Right Edge").value;
+        var copies = Math.ceil(rightEdge / span) + 1;
+        measureText(crawlLayer, textProp, textDocument, new Array(copies + 1).join(pass));
+        var rect = crawlLayer.sourceRectAtTime(0, false);
+        crawlLayer.property("ADBE Transform Group").property("Anchor Point").setValue([rect.left, rect.top + rect.height / 2]);
+        ensureSlider(crawlLayer, "Copies", copies).setValue(copies);
+
+        ensureSlider(controlLayer, NEWS_LANE_SLIDERS.speed, news.scrollSpeed);
+        ensureSlider(controlLayer, NEWS_LANE_SLIDERS.start, 0);
+        setUnlessKeyed(ensureSlider(controlLayer, NEWS_LANE_SLIDERS.cycle, span), span);
+        setUnlessKeyed(ensureSlider(controlLayer, NEWS_LANE_SLIDERS.baseline, laneTop + news.height / 2), laneTop + news.height / 2);
+        syncLaneDistance(controlLayer, NEWS_LANE_SLIDERS, options);
+        crawlLayer.property("ADBE Transform Group").property("Position").expression = crawlPositionExpression(NEWS_LANE_SLIDERS);
+        crawlLayer.property("ADBE Transform Group").property("Opacity").expression = breakingOpacityExpression(false);
+
+        ensureCheckbox(controlLayer, "Breaking", news.breaking && news.breakingText.length > 0);
+        setUnlessKeyed(ensureSlider(controlLayer, "Breaking Start (s)", news.breakingStart), news.breakingStart);
+        setUnlessKeyed(ensureSlider(controlLayer, "Breaking Duration (s)", news.breakingDuration), news.breakingDuration);
+        if (news.breakingText.length) {
+            createBreakingLayers(comp, controlLayer, news, laneTop);
+        }
+    }
+
+    function findQuote(quotes, symbol) {
+        for (var i = 0; i < quotes.length; i++) {
+            if (quotes[i].symbol === symbol) {
+                return quotes[i];
+            }
+        }
+        return null;
+    }
+
+    // The part of the quote lane quotes are seen in: from "Left Edge" (the status strip) to "Right Edge".
+    function visibleLaneWidth(controlLayer) {
+        var leftEdge = findSlider(controlLayer, "Left Edge");
+        return findSlider(controlLayer, "Right Edge").value - (leftEdge ? leftEdge.value : 0);
+    }
+
+    function visibleCenterX(comp, controlLayer) {
+        var leftEdge = findSlider(controlLayer, "Left Edge");
+        return (comp.width + (leftEdge ? leftEdge.value : 0)) / 2;
+    }
+
+    function addStatusText(comp, name, text, status, color) {
+        var textLayer = comp.layers.addText(text);
+        textLayer.name = name;
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.value;
+        textDocument.font = status.font;
+        textDocument.fontSize = status.fontSize;
+        textDocument.applyFill = true;
+        textDocument.fillColor = color;
+        textDocument.applyStroke = false;
+        if (typeof ParagraphJustification !== "undefined") {
+            textDocument.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+        textProp.setValue(textDocument);
+        var rect = textLayer.sourceRectAtTime(0, false);
+        textLayer.property("ADBE Transform Group").property("Anchor Point").setValue([rect.left, rect.top + rect.height / 2]);
+        return {layer: textLayer, width: rect.width};
+    }
+
+    function addStatusRect(shapeLayer, name, size, position, color) {
+        var group = shapeLayer.property("ADBE Root Vectors Group").addProperty("ADBE Vector Group");
+        group.name = name;
+        var shapes = group.property("ADBE Vectors Group");
+        var rect = shapes.addProperty("ADBE Vector Shape - Rect");
+        rect.property("ADBE Vector Rect Size").setValue(size);
+        rect.property("ADBE Vector Rect Position").setValue(position);
+        shapes.addProperty("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color").setValue(color);
+        return shapes;
+    }
+
+    /**
+     * Draws the status strip over the left end of the quote lane: the session badge and "AS OF"
+     * time on one line, the index summary (opening values) under them, on a panel in the bar's
+     * color. The quotes fade out along its right edge through their own masks (see
+     * syncStatusFade). Returns the panel's width.
+     */
+    function createStatusStrip(comp, quotes, options) {
+        var status = options.status;
+        var laneHeight = comp.height - newsLaneHeight(options);
+        var badgePad = status.fontSize * 0.4;
+        var spacing = status.fontSize * 0.6;
+        var session = status.session ?
+            addStatusText(comp, STATUS_SESSION_NAME, STATUS_STRIP.sessions[status.session].label, status, status.badgeTextColor) : null;
+        var asOf = status.asOf ? addStatusText(comp, STATUS_TIME_NAME, "AS OF " + status.asOf.toUpperCase(), status, status.textColor) : null;
+        var indexQuote = status.indexSymbol ? findQuote(quotes, status.indexSymbol) : null;
+        var index = indexQuote ?
+            addStatusText(comp, STATUS_INDEX_NAME, formatTicker(indexQuote, false, options.format), status, quoteColor(indexQuote, options)) : null;
+
+        var topWidth = (session ? session.width + 2 * badgePad : 0) + (session && asOf ? spacing : 0) + (asOf ? asOf.width : 0);
+        var width = Math.round(2 * status.padding + Math.max(topWidth, index ? index.width : 0));
+        var lineHeight = status.fontSize * 1.4;
+        var topY = index && topWidth ? (laneHeight - lineHeight) / 2 : laneHeight / 2;
+        var indexY = topWidth ? (laneHeight + lineHeight) / 2 : laneHeight / 2;
+
+        var panelLayer = comp.layers.addShape();
+        panelLayer.name = STATUS_PANEL_NAME;
+        panelLayer.property("ADBE Transform Group").property("Position").setValue([0, 0]);
+        addStatusRect(panelLayer, "Panel", [width, laneHeight], [width / 2, laneHeight / 2], options.backgroundColor);
+
+        var x = status.padding;
+        if (session) {
+            var badge = addStatusRect(panelLayer, "Badge", [session.width + 2 * badgePad, status.fontSize * 1.3],
+                [x + badgePad + session.width / 2, topY], STATUS_STRIP.sessions[status.session].color);
+            badge.property("ADBE Vector Shape - Rect").property("ADBE Vector Rect Roundness").setValue(status.fontSize * 0.25);
+            session.layer.property("ADBE Transform Group").property("Position").setValue([x + badgePad, topY]);
+            x += session.width + 2 * badgePad + spacing;
+        }
+        if (asOf) {
+            asOf.layer.property("ADBE Transform Group").property("Position").setValue([x, topY]);
+        }
+        if (index) {
+            index.layer.property("ADBE Transform Group").property("Position").setValue([status.padding, indexY]);
+        }
+
+        // Over the quotes, with the text over the panel.
+        var stack = [panelLayer, session, asOf, index];
+        for (var s = 0; s < stack.length; s++) {
+            if (stack[s]) {
+                (stack[s].layer || stack[s]).moveToBeginning();
+            }
+        }
+        return width;
+    }
+
+    /**
+     * Rebuilds the status strip (or removes it when off) and sets "Left Edge" to its width, so
+     * crawls repeat only enough to fill what it leaves visible. The roll's "Center X" and
+     * "Spotlight X" move by half the change to stay centered in that part of the lane.
+     */
+    function syncStatusStrip(comp, controlLayer, quotes, options) {
+        var names = [STATUS_PANEL_NAME, STATUS_SESSION_NAME, STATUS_TIME_NAME, STATUS_INDEX_NAME];
+        for (var n = 0; n < names.length; n++) {
+            var stale = findLayer(comp, names[n]);
+            if (stale) {
+                stale.remove();
+            }
+        }
+        var width = options.status ? createStatusStrip(comp, quotes, options) : 0;
+        var edgeControl = findSlider(controlLayer, "Left Edge");
+        var previous = edgeControl ? edgeControl.value : 0;
+        if (edgeControl || options.status) {
+            ensureSlider(controlLayer, "Left Edge", width).setValue(width);
+        }
+        var centers = ["Center X", "Spotlight X"];
+        for (var c = 0; c < centers.length && width !== previous; c++) {
+            var center = findSlider(controlLayer, centers[c]);
+            if (center) {
+                setUnlessKeyed(center, center.value + (width - previous) / 2);
+            }
+        }
+    }
+
+    /**
+     * Mask path expression for the status fade: a rectangle from half the fade right of "Left
+     * Edge" out past the comp, in comp space, so it stays put however the layer moves, scales or
+     * is parented. Feathered by the fade width, it clears the layer at "Left Edge" and lets it
+     * through in full a fade width further on.
+     */
+    function statusFadeMaskExpression(fadeWidth) {
+        return 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var left = ctrl.effect("Left Edge")("Slider") + ' + fadeWidth / 2 + ';\n' +
+            'var right = thisComp.width + ' + fadeWidth + ';\n' +
+            'var top = -' + fadeWidth + ';\n' +
+            'var bottom = thisComp.height + ' + fadeWidth + ';\n' +
+            'createPath([fromComp([left, top]), fromComp([right, top]), fromComp([right, bottom]), fromComp([left, bottom])], [], [], true);';
+    }
+
+    /**
+     * Fades the crawl out along the status strip with a feathered mask on every quote lane layer
+     * (entries, their logos, sparklines and chips, repeats and the single crawl layer), so it
+     * fades to transparent over any background or theme. Without the strip the masks come off.
+     */
+    function syncStatusFade(comp, options) {
+        var found = collectQuoteLayers(comp);
+        var layers = found.repeats.slice(0);
+        var groups = [found.bySymbol, found.headers, found.logos, found.sparklines, found.chips];
+        for (var g = 0; g < groups.length; g++) {
+            for (var symbol in groups[g]) {
+                if (groups[g].hasOwnProperty(symbol)) {
+                    layers.push(groups[g][symbol]);
+                }
+            }
+        }
+        var crawlLayer = findLayer(comp, CRAWL_NAME);
+        if (crawlLayer) {
+            layers.push(crawlLayer);
+        }
+        for (var i = 0; i < layers.length; i++) {
+            var masks = layers[i].property("ADBE Mask Parade");
+            var mask = null;
+            for (var m = 1; m <= masks.numProperties && !mask; m++) {
+                if (masks.property(m).name === STATUS_FADE_MASK) {
+                    mask = masks.property(m);
+                }
+            }
+            if (!options.status) {
+                if (mask) {
+                    mask.remove();
+                }
+                continue;
+            }
+            if (!mask) {
+                mask = masks.addProperty("ADBE Mask Atom");
+                mask.name = STATUS_FADE_MASK;
+            }
+            mask.property("ADBE Mask Shape").expression = statusFadeMaskExpression(options.status.fadeWidth);
+            // feather in the layer's own pixels, which scale with it
+            mask.property("ADBE Mask Feather").expression =
+                'var feather = length(fromComp([0, 0]), fromComp([' + options.status.fadeWidth + ', 0]));\n' +
+                '[feather, feather];';
+        }
+    }
+
+    function centerEntry(layer, attached, options) {
+        // Center the whole entry, logo and sparkline included, on "Center X".
+        var size = placeEntry(layer, attached, options);
+        layer.property("ADBE Transform Group").property("Anchor Point").setValue([
+            size.rect.left - size.lead + (size.lead + size.trail) / 2,
+            size.rect.top + size.rect.height / 2
+        ]);
+    }
+
+    /**
+     * Roll style: the crawl's quote and header layers, centered on "Center X" and shown one at a
+     * time in reading order; each entry's "Slot" is its turn. Returns null (no crawl width).
+     */
+    function syncRollLayers(comp, controlLayer, quotes, options) {
+        var existing = collectQuoteLayers(comp);
+        removeStyleLayers(comp, existing, ["entries"]);
+        ensureSlider(controlLayer, "Hold (s)", options.rollHold);
+        ensureSlider(controlLayer, "Transition (s)", options.rollTransition);
+        ensureSlider(controlLayer, "Roll Distance", comp.height - newsLaneHeight(options));
+        ensureSlider(controlLayer, "Center X", visibleCenterX(comp, controlLayer));
+
+        var items = readingEntries(quotes, options);
+        var keep = {};
+        var keepHeaders = {};
+        for (var i = 0; i < items.length; i++) {
+            var entry;
+            if (items[i].header) {
+                entry = syncHeaderEntry(comp, controlLayer, existing, items[i], options);
+                keepHeaders[items[i].group] = true;
+            } else {
+                items[i].includeBullet = false;
+                entry = syncQuoteEntry(comp, controlLayer, existing, items[i], options);
+                keep[items[i].quote.symbol] = true;
+            }
+            centerEntry(entry.layer, entry.attachments, options);
+            ensureSlider(entry.layer, "Slot", i).setValue(i);
+        }
+
+        removeUnkept(existing.bySymbol, keep);
+        removeUnkept(existing.logos, keep);
+        removeUnkept(existing.sparklines, keep);
+        removeUnkept(existing.headers, keepHeaders);
+        removeUnkept(existing.chips, keepHeaders);
+        ensureSlider(controlLayer, "Roll Count", items.length).setValue(items.length);
+        return null;
+    }
+
+    function boardParts(quote, format) {
+        var text = formatTicker(quote, false, format);
+        return {symbol: quote.symbol, rest: text.substring(quote.symbol.length + 1)};
+    }
+
+    function padText(text, width, alignRight) {
+        while (text.length < width) {
+            text = alignRight ? " " + text : text + " ";
+        }
+        return text;
+    }
+
+    function boardStates(quote) {
+        var states = [quote];
+        for (var i = 0; quote.snapshots && i < quote.snapshots.length; i++) {
+            var snapshot = quote.snapshots[i];
+            states.push({symbol: quote.symbol, price: snapshot.price, change: snapshot.change, percent: snapshot.percent, time: snapshot.time});
+        }
+        return states;
+    }
+
+    /**
+     * Widths (in characters) every cell is padded to, so values share columns across the board
+     * and a flap only turns where a character actually changes.
+     */
+    function boardWidths(quotes, format) {
+        var widths = {symbol: 0, rest: 0};
+        for (var i = 0; i < quotes.length; i++) {
+            var states = boardStates(quotes[i]);
+            for (var s = 0; s < states.length; s++) {
+                var parts = boardParts(states[s], format);
+                widths.symbol = Math.max(widths.symbol, parts.symbol.length);
+                widths.rest = Math.max(widths.rest, parts.rest.length);
+            }
+        }
+        widths.cell = widths.symbol + 2 + widths.rest;
+        return widths;
+    }
+
+    function boardCellText(quote, widths, format) {
+        var parts = boardParts(quote, format);
+        return padText(parts.symbol, widths.symbol, false) + "  " + padText(parts.rest, widths.rest, true);
+    }
+
+    /**
+     * Source Text expression for a board cell. The cell's (hold) keyframes carry its values; after
+     * each key every changed character turns through FLAP_CHARACTERS from the old character to
+     * the new one, settling "Flip Duration (s)" plus "Flip Stagger (s)" per column later.
+     */
+    function boardTextExpression() {
+        return 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var flip = Math.max(thisComp.frameDuration, ctrl.effect("Flip Duration (s)")("Slider"));\n' +
+            'var stagger = Math.max(0, ctrl.effect("Flip Stagger (s)")("Slider"));\n' +
+            'var flipIn = ctrl.effect("Flip In")("Checkbox") > 0;\n' +
+            'var drum = "' + FLAP_CHARACTERS + '";\n' +
+            'function textOf(v) { return v.text !== undefined ? String(v.text) : String(v); }\n' +
+            'var k = 0;\n' +
+            'for (var i = 1; i <= numKeys; i++) {\n' +
+            '  if (key(i).time <= time) k = i;\n' +
+            '}\n' +
+            'var shown = k > 0 ? textOf(key(k).value) : textOf(value);\n' +
+            'if (k > 1 || (k === 1 && flipIn)) {\n' +
+            '  var from = k > 1 ? textOf(key(k - 1).value) : "";\n' +
+            '  var elapsed = time - key(k).time;\n' +
+            '  var out = "";\n' +
+            '  for (var c = 0; c < shown.length; c++) {\n' +
+            '    var a = drum.indexOf(c < from.length ? from.charAt(c) : " ");\n' +
+            '    var b = drum.indexOf(shown.charAt(c));\n' +
+            '    var settle = flip + c * stagger;\n' +
+            '    if (a === b || b < 0 || elapsed >= settle) {\n' +
+            '      out += shown.charAt(c);\n' +
+            '    } else {\n' +
+            '      if (a < 0) a = 0;\n' +
+            '      var steps = (b - a + drum.length) % drum.length;\n' +
+            '      out += drum.charAt((a + Math.floor(steps * elapsed / settle)) % drum.length);\n' +
+            '    }\n' +
+            '  }\n' +
+            '  shown = out;\n' +
+            '}\n' +
+            'shown;';
+    }
+
+    function boardPositionExpression() {
+        return 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var rows = Math.max(1, Math.round(ctrl.effect("Board Rows")("Slider")));\n' +
+            'var slot = effect("Slot")("Slider");\n' +
+            'var column = Math.floor(slot / rows);\n' +
+            'var row = slot - column * rows;\n' +
+            '[ctrl.effect("Board Left")("Slider") + column * ctrl.effect("Column Width")("Slider"),\n' +
+            ' ctrl.effect("Board Top")("Slider") + (row + 0.5) * ctrl.effect("Row Height")("Slider")];';
+    }
+
+    function boardTextDocument(textProp, options, fontSize) {
+        var textDocument = textProp.valueAtTime(0, false);
+        textDocument.font = options.boardFont;
+        textDocument.fontSize = fontSize;
+        textDocument.applyFill = true;
+        textDocument.applyStroke = false;
+        textDocument.tracking = 0;
+        if (typeof ParagraphJustification !== "undefined") {
+            textDocument.justification = ParagraphJustification.LEFT_JUSTIFY;
+        }
+        return textDocument;
+    }
+
+    function setBoardCellKeys(cellLayer, quote, widths, fontSize, options) {
+        var textProp = cellLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        textProp.expression = "";
+        clearKeys(textProp);
+        var textDocument = boardTextDocument(textProp, options, fontSize);
+        var states = boardStates(quote);
+        for (var s = 0; s < states.length; s++) {
+            textDocument.text = boardCellText(states[s], widths, options.format);
+            textDocument.fillColor = quoteColor(states[s], options);
+            textProp.setValueAtTime(s === 0 ? 0 : Math.max(0, states[s].time), textDocument);
+        }
+        textProp.expression = boardTextExpression();
+    }
+
+    function addBoardTiles(comp, controlLayer, cells, metrics, options) {
+        var tilesLayer = comp.layers.addShape();
+        tilesLayer.name = BOARD_TILES_NAME;
+        var root = tilesLayer.property("ADBE Root Vectors Group");
+        for (var i = 0; i < cells.length; i++) {
+            root.addProperty("ADBE Vector Group").name = cells[i].name;
+            var group = root.property(i + 1);
+            var shapes = group.property("ADBE Vectors Group");
+            shapes.addProperty("ADBE Vector Shape - Rect").property("ADBE Vector Rect Size").setValue([
+                metrics.charWidth * 0.9,
+                metrics.rowHeight * 0.85
+            ]);
+            shapes.addProperty("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color").setValue(options.boardTileColor);
+            var repeater = shapes.addProperty("ADBE Vector Filter - Repeater");
+            repeater.property("ADBE Vector Repeater Copies").setValue(metrics.cellChars);
+            repeater.property("ADBE Vector Repeater Transform").property("ADBE Vector Repeater Position").setValue([metrics.charWidth, 0]);
+            var column = Math.floor(i / metrics.rows);
+            var row = i - column * metrics.rows;
+            group.property("ADBE Vector Transform Group").property("ADBE Vector Position").setValue([
+                column * metrics.columnWidth + metrics.charWidth / 2,
+                (row + 0.5) * metrics.rowHeight
+            ]);
+        }
+        tilesLayer.moveBefore(controlLayer);
+        tilesLayer.property("ADBE Transform Group").property("Anchor Point").setValue([0, 0]);
+        tilesLayer.property("ADBE Transform Group").property("Position").expression =
+            'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            '[ctrl.effect("Board Left")("Slider"), ctrl.effect("Board Top")("Slider")];';
+        return tilesLayer;
+    }
+
+    /**
+     * Board style: a split-flap grid with one "<SYMBOL> Board" cell per quote, filled column by
+     * column in reading order (headers are left out). The font shrinks from the text size until
+     * the grid fits the comp; "Board Left" / "Board Top" on the controller move it. Returns null.
+     */
+    function syncBoardLayers(comp, controlLayer, quotes, options) {
+        var existing = collectQuoteLayers(comp);
+        removeStyleLayers(comp, existing, ["board"]);
+        var tilesLayer = findLayer(comp, BOARD_TILES_NAME);
+        if (tilesLayer) {
+            tilesLayer.remove();
+        }
+
+        var items = readingEntries(quotes, options);
+        var ordered = [];
+        for (var i = 0; i < items.length; i++) {
+            if (!items[i].header) {
+                ordered.push(items[i].quote);
+            }
+        }
+        var cells = [];
+        var keep = {};
+        for (var q = 0; q < ordered.length; q++) {
+            var symbol = ordered[q].symbol;
+            var cell = existing.boards.hasOwnProperty(symbol) ? existing.boards[symbol] : null;
+            if (!cell) {
+                cell = comp.layers.addText(symbol);
+                cell.name = symbol + BOARD_SUFFIX;
+            }
+            cell.moveBefore(controlLayer);
+            keep[symbol] = true;
+            cells.push(cell);
+        }
+        removeUnkept(existing.boards, keep);
+        if (!cells.length) {
+            return null;
+        }
+
+        // Measure the monospaced font once at the text size, then scale the grid to fit.
+        var widths = boardWidths(ordered, options.format);
+        var probeProp = cells[0].property("ADBE Text Properties").property("ADBE Text Document");
+        probeProp.expression = "";
+        clearKeys(probeProp);
+        var probe = boardTextDocument(probeProp, options, options.fontSize);
+        var charWidth = measureText(cells[0], probeProp, probe, "0000000000") / 10;
+        var probeRect = cells[0].sourceRectAtTime(0, false);
+        var columns = Math.max(1, Math.min(options.boardColumns, cells.length));
+        var rows = Math.ceil(cells.length / columns);
+        var gridWidth = charWidth * (columns * widths.cell + (columns - 1) * 3);
+        var gridHeight = options.fontSize * 1.5 * rows;
+        var barHeight = comp.height - newsLaneHeight(options);
+        var scale = Math.min(1, comp.width * 0.92 / Math.max(1, gridWidth), barHeight * 0.92 / Math.max(1, gridHeight));
+        var fontSize = options.fontSize * scale;
+        var metrics = {
+            rows: rows,
+            cellChars: widths.cell,
+            charWidth: charWidth * scale,
+            rowHeight: fontSize * 1.5,
+            columnWidth: charWidth * scale * (widths.cell + 3)
+        };
+
+        for (var c = 0; c < cells.length; c++) {
+            setBoardCellKeys(cells[c], ordered[c], widths, fontSize, options);
+            cells[c].property("ADBE Transform Group").property("Anchor Point").setValue([
+                0,
+                (probeRect.top + probeRect.height / 2) * scale
+            ]);
+            ensureSlider(cells[c], "Slot", c).setValue(c);
+            cells[c].property("ADBE Transform Group").property("Position").expression = boardPositionExpression();
+        }
+        addBoardTiles(comp, controlLayer, cells, metrics, options);
+
+        ensureSlider(controlLayer, "Flip Duration (s)", options.flipDuration);
+        ensureSlider(controlLayer, "Flip Stagger (s)", options.flipStagger);
+        if (!findEffect(controlLayer, "Flip In")) {
+            ensureCheckbox(controlLayer, "Flip In", true);
+        }
+        ensureSlider(controlLayer, "Board Left", (comp.width - gridWidth * scale) / 2);
+        ensureSlider(controlLayer, "Board Top", (barHeight - gridHeight * scale) / 2);
+        ensureSlider(controlLayer, "Board Rows", rows).setValue(rows);
+        ensureSlider(controlLayer, "Column Width", metrics.columnWidth).setValue(metrics.columnWidth);
+        ensureSlider(controlLayer, "Row Height", metrics.rowHeight).setValue(metrics.rowHeight);
+        return null;
+    }
+
+    /**
+     * Intro and outro for the whole bar: an adjustment layer on top whose Transform effect slides
+     * everything below it up from under the comp (or whose Linear Wipe uncovers it) over
+     * "Intro (s)", and takes it away again over the last "Outro (s)". Rebuilt on every sync so it
+     * matches the comp size; removed with its solid when the intro is "none".
+     */
+    function syncBarTransition(comp, controlLayer, options) {
+        var layer = findLayer(comp, BAR_TRANSITION_NAME);
+        if (layer) {
+            var solid = layer.source;
+            layer.remove();
+            if (solid.usedIn.length === 0) {
+                solid.remove();
+            }
+        }
+        if (options.intro === "none") {
+            return;
+        }
+        setUnlessKeyed(ensureSlider(controlLayer, "Intro (s)", options.introDuration), options.introDuration);
+        setUnlessKeyed(ensureSlider(controlLayer, "Outro (s)", options.outroDuration), options.outroDuration);
+
+        layer = comp.layers.addSolid([1, 1, 1], BAR_TRANSITION_NAME, comp.width, comp.height, 1, comp.duration);
+        layer.adjustmentLayer = true;
+        // How far off the bar is: 1 before the intro and after the outro, 0 in between.
+        var away = 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var intro = Math.max(0, ctrl.effect("Intro (s)")("Slider"));\n' +
+            'var outro = Math.max(0, ctrl.effect("Outro (s)")("Slider"));\n' +
+            'var away = 0;\n' +
+            'if (intro > 0) away = Math.max(away, ease(time, 0, intro, 1, 0));\n' +
+            'if (outro > 0) away = Math.max(away, ease(time, thisComp.duration - outro, thisComp.duration, 0, 1));\n';
+        var effects = layer.property("ADBE Effect Parade");
+        if (options.intro === "wipe") {
+            var wipe = effects.addProperty("ADBE Linear Wipe");
+            wipe.property("ADBE Linear Wipe-0003").setValue(comp.width * 0.05);
+            wipe.property("ADBE Linear Wipe-0001").expression = away + 'away * 100;';
+        } else {
+            var transform = effects.addProperty("ADBE Geometry2");
+            transform.property("ADBE Geometry2-0002").expression = away + 'add(value, [0, away * thisComp.height]);';
+        }
+        layer.moveToBeginning();
+    }
+
+    /**
+     * Builds the layers for the chosen style. Returns the crawl width for "Cycle Width", or null
+     * for the roll and the board, which do not scroll.
+     */
+    function syncTickerLayers(comp, controlLayer, quotes, options) {
+        var width;
+        if (options.style === "roll") {
+            width = syncRollLayers(comp, controlLayer, quotes, options);
+        } else if (options.style === "board") {
+            width = syncBoardLayers(comp, controlLayer, quotes, options);
+        } else if (options.renderMode === "single") {
+            width = syncCrawlLayer(comp, controlLayer, quotes, options);
+        } else {
+            width = syncQuoteLayers(comp, controlLayer, quotes, options);
+        }
+        syncSpotlightBox(comp, controlLayer, options);
+        syncStatusFade(comp, options);
+        return width;
+    }
+
+    function buildTicker(settings, options, quotes) {
+        if (!app.project) {
+            app.newProject();
+        }
+
+        var project = app.project;
+        var comp = project.items.addComp(
+            settings.name,
+            settings.width,
+            settings.height,
+            1,
+            settings.duration,
+            settings.frameRate
+        );
+        comp.bgColor = options.backgroundColor;
+        comp.comment = TICKER_TAG;
+
+        var backgroundLayer = comp.layers.addShape();
+        backgroundLayer.name = "Ticker Background";
+        var contents = backgroundLayer.property("Contents");
+        var container = contents.addProperty("ADBE Vector Group");
+        container.name = "Background";
+        var shapes = container.property("Contents");
+        var rectShape = shapes.addProperty("ADBE Vector Shape - Rect");
+        rectShape.property("ADBE Vector Rect Size").setValue([settings.width, settings.height]);
+        rectShape.property("ADBE Vector Rect Position").setValue([0, 0]);
+        var fill = shapes.addProperty("ADBE Vector Graphic - Fill");
+        fill.property("ADBE Vector Fill Color").setValue([
+            options.backgroundColor[0],
+            options.backgroundColor[1],
+            options.backgroundColor[2],
+            options.backgroundColor.length > 3 ? options.backgroundColor[3] : 1
+        ]);
+        var stroke = shapes.addProperty("ADBE Vector Graphic - Stroke");
+        stroke.property("ADBE Vector Stroke Color").setValue([
+            options.strokeColor[0],
+            options.strokeColor[1],
+            options.strokeColor[2],
+            options.strokeColor.length > 3 ? options.strokeColor[3] : 1
+        ]);
+        stroke.property("ADBE Vector Stroke Width").setValue(options.strokeWidth);
+        backgroundLayer.moveToEnd();
+
+        var controlLayer = comp.layers.addNull();
+        controlLayer.name = CONTROLLER_NAME;
+        controlLayer.label = 9; // light green for visibility
+        controlLayer.property("ADBE Transform Group").property("Position").setValue([0, 0]);
+
+        var speedControl = addSlider(controlLayer, "Scroll Speed (px/s)", options.scrollSpeed);
+        var startOffsetControl = addSlider(controlLayer, "Start Offset", 0);
+        var cycleControl = addSlider(controlLayer, "Cycle Width", 1);
+        var rightEdge = settings.width + options.rightPadding;
+        var rightEdgeControl = addSlider(controlLayer, "Right Edge", rightEdge);
+        var baselineControl = addSlider(controlLayer, "Baseline Y", settings.height / 2);
+
+        ensureCheckbox(controlLayer, "Perfect Loop", options.perfectLoop);
+        resizeForNewsLane(comp, controlLayer, options);
+        syncStatusStrip(comp, controlLayer, quotes, options);
+
+        var totalWidth = syncTickerLayers(comp, controlLayer, quotes, options);
+        syncNewsLane(comp, controlLayer, options);
+        syncBarTransition(comp, controlLayer, options);
+        controlLayer.comment = themeToJson(themeFromOptions(options));
+        if (totalWidth !== null) {
+            cycleControl.setValue(totalWidth);
+        }
+        if (totalWidth !== null && options.perfectLoop) {
+            speedControl.setValue(snapLoopSpeed(options.scrollSpeed, totalWidth, comp.duration));
+        }
+
+        comp.openInViewer();
+        return comp;
+    }
+
+    function isTickerComp(item) {
+        if (!(item instanceof CompItem)) {
+            return false;
+        }
+        return item.comment.indexOf(TICKER_TAG) !== -1 || findLayer(item, CONTROLLER_NAME) !== null;
+    }
+
+    /**
+     * Picks the ticker comp to refresh: the active comp if it is a ticker, otherwise a tagged
+     * comp with the requested name, then any ticker comp with that name, then the only tagged one.
+     */
+    function findTickerComp(compName) {
+        if (!app.project) {
+            return null;
+        }
+        if (isTickerComp(app.project.activeItem)) {
+            return app.project.activeItem;
+        }
+        var namedMatch = null;
+        var tagged = [];
+        for (var i = 1; i <= app.project.numItems; i++) {
+            var item = app.project.item(i);
+            if (!isTickerComp(item)) {
+                continue;
+            }
+            var isTagged = item.comment.indexOf(TICKER_TAG) !== -1;
+            if (item.name === compName && isTagged) {
+                return item;
+            }
+            if (item.name === compName && !namedMatch) {
+                namedMatch = item;
+            }
+            if (isTagged) {
+                tagged.push(item);
+            }
+        }
+        if (namedMatch) {
+            return namedMatch;
+        }
+        return tagged.length === 1 ? tagged[0] : null;
+    }
+
+    /**
+     * Refreshes an existing ticker comp in place: quote text and colors are rewritten, new symbols
+     * get layers, dropped symbols lose theirs, and offsets plus "Cycle Width" are recomputed.
+     * Other controller sliders are left untouched so manual tweaks and keyframes survive.
+     */
+    function updateTicker(comp, options, quotes) {
+        var controlLayer = findLayer(comp, CONTROLLER_NAME);
+        if (!controlLayer) {
+            throw new Error("\"" + comp.name + "\" has no \"" + CONTROLLER_NAME + "\" layer.");
+        }
+        var cycleControl = findSlider(controlLayer, "Cycle Width");
+        if (!cycleControl) {
+            throw new Error("\"" + CONTROLLER_NAME + "\" has no \"Cycle Width\" slider.");
+        }
+
+        ensureCheckbox(controlLayer, "Perfect Loop", options.perfectLoop);
+        resizeForNewsLane(comp, controlLayer, options);
+        syncStatusStrip(comp, controlLayer, quotes, options);
+
+        var totalWidth = syncTickerLayers(comp, controlLayer, quotes, options);
+        syncNewsLane(comp, controlLayer, options);
+        syncBarTransition(comp, controlLayer, options);
+        controlLayer.comment = themeToJson(themeFromOptions(options));
+        var warnings = [];
+        if (totalWidth !== null) {
+            setCycleWidth(cycleControl, totalWidth, warnings);
+        }
+        return warnings;
+    }
+
+    function setCycleWidth(cycleControl, width, warnings) {
+        if (cycleControl.numKeys > 0) {
+            warnings.push("\"Cycle Width\" is keyframed and was left as is; the new crawl width is " + Math.round(width) + " px.");
+        } else {
+            cycleControl.setValue(width);
+        }
+    }
+
+    function presetBarHeight(preset) {
+        return preset.barHeight || preset.height;
+    }
+
+    function scaleFields(source, fields, factor) {
+        var copy = {};
+        for (var key in source) {
+            if (source.hasOwnProperty(key)) {
+                copy[key] = source[key];
+            }
+        }
+        for (var i = 0; i < fields.length; i++) {
+            if (isNumber(copy[fields[i]])) {
+                copy[fields[i]] = Math.round(copy[fields[i]] * factor * 100) / 100;
+            }
+        }
+        return copy;
+    }
+
+    // The options for one output preset, sized for its bar as the panel's are for the panel's comp.
+    function presetOptions(options, settings, preset) {
+        var factor = presetBarHeight(preset) / settings.height;
+        var scaled = scaleFields(options, SCALED_OPTIONS, factor);
+        if (options.news) {
+            scaled.news = scaleFields(options.news, SCALED_NEWS_OPTIONS, factor);
+        }
+        if (options.status) {
+            scaled.status = scaleFields(options.status, SCALED_STATUS_OPTIONS, factor);
+        }
+        return scaled;
+    }
+
+    function findNestedLayer(comp, source) {
+        for (var i = 1; i <= comp.numLayers; i++) {
+            if (comp.layer(i).source && comp.layer(i).source.id === source.id) {
+                return comp.layer(i);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Builds the ticker for one output preset, or refreshes the one from an earlier run when
+     * `updateExisting` is set. Presets with a bar shorter than the frame get a frame-sized comp
+     * with the ticker nested at the bottom. Returns the ticker comp (`bar`) and the comp to
+     * render (`comp`), which is the same comp for a full-frame bar.
+     */
+    function syncOutputPreset(settings, options, quotes, preset, updateExisting, warnings) {
+        var name = settings.name + " " + preset.name;
+        var nested = presetBarHeight(preset) < preset.height;
+        var barName = nested ? name + " Bar" : name;
+        var barOptions = presetOptions(options, settings, preset);
+        var barComp = updateExisting ? findProjectItem(barName, null) : null;
+        if (isTickerComp(barComp)) {
+            var updateWarnings = updateTicker(barComp, barOptions, quotes);
+            for (var i = 0; i < updateWarnings.length; i++) {
+                warnings.push(preset.name + ": " + updateWarnings[i]);
+            }
+        } else {
+            barComp = buildTicker({
+                name: barName,
+                width: preset.width,
+                height: presetBarHeight(preset),
+                duration: settings.duration,
+                frameRate: settings.frameRate
+            }, barOptions, quotes);
+        }
+        if (!nested) {
+            return {bar: barComp, comp: barComp};
+        }
+
+        var frameComp = updateExisting ? findProjectItem(name, null) : null;
+        if (!(frameComp instanceof CompItem)) {
+            frameComp = app.project.items.addComp(name, preset.width, preset.height, 1, settings.duration, settings.frameRate);
+            frameComp.openInViewer();
+        }
+        var barLayer = findNestedLayer(frameComp, barComp) || frameComp.layers.add(barComp);
+        // The news lane grows the bar comp downward, so the bar is placed by its bottom edge.
+        setUnlessKeyed(barLayer.property("ADBE Transform Group").property("ADBE Position"),
+            [preset.width / 2, preset.height - (preset.barBottom || 0) - barComp.height / 2]);
+        return {bar: barComp, comp: frameComp};
+    }
+
+    function outputFileName(pattern, comp, preset) {
+        var now = new Date();
+        var values = {
+            comp: comp.name,
+            preset: preset ? preset.name : "",
+            width: comp.width,
+            height: comp.height,
+            date: now.getFullYear() + "-" + ("0" + (now.getMonth() + 1)).slice(-2) + "-" + ("0" + now.getDate()).slice(-2)
+        };
+        var name = pattern.replace(/\{(\w+)\}/g, function (token, key) {
+            return values.hasOwnProperty(key) ? String(values[key]) : token;
+        });
+        return trimString(name.replace(/[\\\/:*?"<>|]+/g, "_")) || comp.name;
+    }
+
+    /**
+     * Adds the comp to the Render Queue, or reuses its queued item from an earlier run, then
+     * applies the output module template and names the file from `output.fileName`. A template
+     * this copy of After Effects does not have is reported and the module's own is kept.
+     */
+    function queueRender(comp, preset, output, warnings) {
+        var queue = app.project.renderQueue;
+        var item = null;
+        for (var i = 1; i <= queue.numItems && !item; i++) {
+            var queued = queue.item(i);
+            if (queued.comp.id === comp.id && (queued.status === RQItemStatus.QUEUED || queued.status === RQItemStatus.UNQUEUED)) {
+                item = queued;
+            }
+        }
+        item = item || queue.items.add(comp);
+        var module = item.outputModule(1);
+        var template = preset && preset.alpha ? output.alphaTemplate : output.template;
+        if (indexOf(module.templates, template) === -1) {
+            warnings.push("Output module template \"" + template + "\" was not found; \"" + comp.name + "\" keeps \"" +
+                module.name + "\".");
+        } else {
+            module.applyTemplate(template);
+        }
+        // The template picks the format, so its default file name supplies the extension.
+        var current = module.file;
+        var extension = current ? /(\.[^.]*)?$/.exec(File.decode(current.name))[0] : "";
+        var folder = output.folder ? new Folder(output.folder) : (current ? current.parent : Folder.myDocuments);
+        if (!folder.exists && !folder.create()) {
+            throw new Error("Could not create the render folder " + folder.fsName + ".");
+        }
+        module.file = new File(folder.fsName + "/" + outputFileName(output.fileName, comp, preset) + extension);
+        return item;
+    }
+
+    function themeFromOptions(options, name) {
+        var theme = {name: name || ""};
+        for (var i = 0; i < THEME_FIELDS.length; i++) {
+            theme[THEME_FIELDS[i]] = options[THEME_FIELDS[i]];
+        }
+        return theme;
+    }
+
+    function jsonLiteral(value) {
+        if (value instanceof Array) {
+            var parts = [];
+            for (var i = 0; i < value.length; i++) {
+                parts.push(jsonLiteral(value[i]));
+            }
+            return "[" + parts.join(", ") + "]";
+        }
+        if (typeof value === "string") {
+            return "\"" + value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"") + "\"";
+        }
+        return String(value);
+    }
+
+    function themeToJson(theme) {
+        var lines = ["    \"name\": " + jsonLiteral(theme.name || "")];
+        for (var i = 0; i < THEME_FIELDS.length; i++) {
+            if (theme[THEME_FIELDS[i]] !== undefined) {
+                lines.push("    " + jsonLiteral(THEME_FIELDS[i]) + ": " + jsonLiteral(theme[THEME_FIELDS[i]]));
+            }
+        }
+        return "{\n" + lines.join(",\n") + "\n}\n";
+    }
+
+    function parseThemeColor(value, field) {
+        var valid = value instanceof Array && (value.length === 3 || value.length === 4);
+        var scale = 1;
+        for (var i = 0; valid && i < value.length; i++) {
+            valid = typeof value[i] === "number" && value[i] >= 0 && value[i] <= 255;
+            if (valid && value[i] > 1) {
+                scale = 255;
+            }
+        }
+        if (!valid) {
+            throw new Error("Theme \"" + field + "\" must be an [r, g, b] list (0-1 or 0-255).");
+        }
+        var color = [];
+        for (var c = 0; c < value.length; c++) {
+            color.push(value[c] / scale);
+        }
+        return color;
+    }
+
+    /**
+     * Reads a theme from JSON text: any of THEME_FIELDS plus an optional "name". Fields left out
+     * keep their value from `base`; unknown ones are ignored. Throws on malformed values.
+     */
+    function parseTheme(text, base) {
+        var data;
+        try {
+            data = parseJson(text);
+        } catch (err) {
+            throw new Error("The theme is not valid JSON.");
+        }
+        if (!data || typeof data !== "object" || data instanceof Array) {
+            throw new Error("A theme must be a JSON object.");
+        }
+        var theme = themeFromOptions(base, typeof data.name === "string" ? data.name : "");
+        for (var i = 0; i < THEME_FIELDS.length; i++) {
+            var field = THEME_FIELDS[i];
+            if (!data.hasOwnProperty(field)) {
+                continue;
+            }
+            var value = data[field];
+            if (/Color$/.test(field)) {
+                theme[field] = parseThemeColor(value, field);
+            } else if (field === "font") {
+                if (typeof value !== "string" || !trimString(value).length) {
+                    throw new Error("Theme \"font\" must be a PostScript font name.");
+                }
+                theme.font = trimString(value);
+            } else if (typeof value !== "number" || isNaN(value) || (field !== "tracking" && value < 0) ||
+                    (field === "fontSize" && value === 0)) {
+                throw new Error("Theme \"" + field + "\" must be a " + (field === "tracking" ? "" : "positive ") + "number.");
+            } else {
+                theme[field] = value;
+            }
+        }
+        return theme;
+    }
+
+    // The theme a ticker was last built, updated or restyled with, kept in the controller's comment.
+    function storedTheme(controlLayer) {
+        try {
+            return parseTheme(controlLayer.comment, TICKER_OPTIONS);
+        } catch (err) {
+            return themeFromOptions(TICKER_OPTIONS);
+        }
+    }
+
+    function sameColor(a, b) {
+        for (var i = 0; i < 3; i++) {
+            if (Math.abs(a[i] - b[i]) > THEME_COLOR_TOLERANCE) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Restyles every Source Text value of a layer (each keyframe, or the static value): font, size
+     * (the theme's size times `sizeFactor`, or left alone when it is 0) and tracking, and fills
+     * that match one of the old theme's `colorFields` get the new theme's color. Other fills, such
+     * as snapshot flashes, stay.
+     */
+    function restyleText(textLayer, theme, oldTheme, sizeFactor, colorFields) {
+        var textProp = textLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var count = Math.max(1, textProp.numKeys);
+        for (var k = 1; k <= count; k++) {
+            var textDocument = textProp.numKeys ? textProp.keyValue(k) : textProp.value;
+            if (sizeFactor) {
+                textDocument.font = theme.font;
+                textDocument.fontSize = theme.fontSize * sizeFactor;
+                textDocument.tracking = theme.tracking;
+            }
+            for (var c = 0; c < colorFields.length && textDocument.applyFill; c++) {
+                if (sameColor(textDocument.fillColor, oldTheme[colorFields[c]])) {
+                    textDocument.fillColor = theme[colorFields[c]];
+                    break;
+                }
+            }
+            if (textProp.numKeys) {
+                textProp.setValueAtKey(k, textDocument);
+            } else {
+                textProp.setValue(textDocument);
+            }
+        }
+    }
+
+    // Swaps each key (or the static value) of a color property that matches one of the old theme's
+    // `colorFields` for the new theme's color, keeping its alpha.
+    function restyleColor(colorProp, theme, oldTheme, colorFields) {
+        var count = Math.max(1, colorProp.numKeys);
+        for (var k = 1; k <= count; k++) {
+            var color = colorProp.numKeys ? colorProp.keyValue(k) : colorProp.value;
+            for (var c = 0; c < colorFields.length; c++) {
+                if (sameColor(color, oldTheme[colorFields[c]])) {
+                    var swapped = theme[colorFields[c]];
+                    swapped = [swapped[0], swapped[1], swapped[2], color.length > 3 ? color[3] : 1];
+                    if (colorProp.numKeys) {
+                        colorProp.setValueAtKey(k, swapped);
+                    } else {
+                        colorProp.setValue(swapped);
+                    }
+                    break;
+                }
+            }
+        }
+    }
+
+    function entryAttachments(comp, entryLayer) {
+        var attached = {logo: null, sparkline: null, chip: null};
+        for (var i = 1; i <= comp.numLayers; i++) {
+            var layer = comp.layer(i);
+            if (!layer.parent || layer.parent.index !== entryLayer.index) {
+                continue;
+            }
+            if (parseQuoteLayerName(layer.name, HEADER_CHIP_SUFFIX)) {
+                attached.chip = layer;
+            } else if (parseQuoteLayerName(layer.name, LOGO_SUFFIX)) {
+                attached.logo = layer;
+            } else if (parseQuoteLayerName(layer.name, SPARKLINE_SUFFIX)) {
+                attached.sparkline = layer;
+            }
+        }
+        return attached;
+    }
+
+    function restyleCrawlLayer(crawlLayer, controlLayer, options, oldTheme, warnings) {
+        var quoteColors = ["positiveColor", "negativeColor", "neutralColor"];
+        restyleText(crawlLayer, options, oldTheme, 1, quoteColors);
+        var animators = crawlLayer.property("ADBE Text Properties").property("ADBE Text Animators");
+        for (var i = 1; i <= animators.numProperties; i++) {
+            var at = indexOf(CRAWL_COLOR_ANIMATORS, animators.property(i).name);
+            if (at !== -1) {
+                animators.property(i).property("ADBE Text Animator Properties").property("ADBE Text Fill Color")
+                    .setValue(options[quoteColors[at]]);
+            }
+        }
+
+        // The text holds `copies` identical passes; measure one in the new font.
+        var textProp = crawlLayer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProp.value;
+        var copies = Math.max(1, findSlider(crawlLayer, "Copies").value);
+        var text = textDocument.text;
+        var span = measurePass(crawlLayer, textProp, textDocument, text.substring(0, text.length / copies));
+        measureText(crawlLayer, textProp, textDocument, text);
+        var rect = crawlLayer.sourceRectAtTime(0, false);
+        crawlLayer.property("ADBE Transform Group").property("Anchor Point").setValue([rect.left, rect.top + rect.height / 2]);
+        setCycleWidth(findSlider(controlLayer, "Cycle Width"), span, warnings);
+        if (options.gap !== oldTheme.gap || Math.ceil(visibleLaneWidth(controlLayer) / span) + 1 > copies) {
+            warnings.push("The single text layer keeps its spacing and repeats; use Update Existing to respace it.");
+        }
+    }
+
+    /**
+     * Restyles a built ticker with the theme fields of `options` without rebuilding it: comp and
+     * background colors, the background stroke, then font, size, tracking and gain / loss / flat
+     * colors of the quote, header, crawl and board text (board cells keep their own font), and the
+     * gain / loss / flat colors of the sparklines at every snapshot. Crawl entries are laid out
+     * again with the new gap and sizes, roll entries re-centered, and the controller's color
+     * controls follow when the ticker has them. Returns warnings.
+     */
+    function applyTheme(comp, options) {
+        var controlLayer = findLayer(comp, CONTROLLER_NAME);
+        if (!controlLayer) {
+            throw new Error("\"" + comp.name + "\" has no \"" + CONTROLLER_NAME + "\" layer.");
+        }
+        var oldTheme = storedTheme(controlLayer);
+        var warnings = [];
+
+        comp.bgColor = [options.backgroundColor[0], options.backgroundColor[1], options.backgroundColor[2]];
+        var backgroundLayer = findLayer(comp, "Ticker Background");
+        if (backgroundLayer) {
+            var shapes = backgroundLayer.property("Contents").property("Background").property("Contents");
+            var colors = [options.backgroundColor, options.strokeColor];
+            for (var b = 0; b < 2; b++) {
+                colors[b] = [colors[b][0], colors[b][1], colors[b][2], colors[b].length > 3 ? colors[b][3] : 1];
+            }
+            shapes.property("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color").setValue(colors[0]);
+            var stroke = shapes.property("ADBE Vector Graphic - Stroke");
+            stroke.property("ADBE Vector Stroke Color").setValue(colors[1]);
+            stroke.property("ADBE Vector Stroke Width").setValue(options.strokeWidth);
+        }
+        var panelFills = statusPanelFills(comp);
+        for (var p = 0; p < panelFills.length; p++) {
+            panelFills[p].setValue(options.backgroundColor);
+        }
+
+        var quoteColors = ["positiveColor", "negativeColor", "neutralColor"];
+        var crawlEntries = [];
+        var rollEntries = [];
+        for (var i = 1; i <= comp.numLayers; i++) {
+            var layer = comp.layer(i);
+            var entry = isEntryLayer(layer);
+            if (entry && parseQuoteLayerName(layer.name, BOARD_SUFFIX)) {
+                restyleText(layer, options, oldTheme, 0, quoteColors);
+                continue;
+            }
+            if (entry && parseQuoteLayerName(layer.name, QUOTE_SUFFIX)) {
+                restyleText(layer, options, oldTheme, 1, quoteColors);
+            } else if (entry && parseQuoteLayerName(layer.name, HEADER_SUFFIX)) {
+                restyleText(layer, options, oldTheme, options.headerSize, ["headerTextColor"]);
+            } else {
+                if (layer.parent && isEntryLayer(layer.parent) && parseQuoteLayerName(layer.name, HEADER_CHIP_SUFFIX)) {
+                    layer.property("ADBE Root Vectors Group").property("Divider").property("ADBE Vectors Group")
+                        .property("ADBE Vector Graphic - Stroke").property("ADBE Vector Stroke Color").setValue(options.neutralColor);
+                } else if (layer.parent && isEntryLayer(layer.parent) && parseQuoteLayerName(layer.name, SPARKLINE_SUFFIX)) {
+                    restyleColor(layer.property("ADBE Root Vectors Group").property("Sparkline").property("ADBE Vectors Group")
+                        .property("ADBE Vector Graphic - Stroke").property("ADBE Vector Stroke Color"), options, oldTheme, quoteColors);
+                }
+                continue;
+            }
+            if (findEffect(layer, "Slot")) {
+                rollEntries.push(layer);
+            } else {
+                crawlEntries.push(layer);
+            }
+        }
+
+        options.style = rollEntries.length ? "roll" : "crawl";
+        if (crawlEntries.length) {
+            var attachments = [];
+            for (var e = 0; e < crawlEntries.length; e++) {
+                attachments.push(entryAttachments(comp, crawlEntries[e]));
+            }
+            setCycleWidth(findSlider(controlLayer, "Cycle Width"), layoutQuoteLayers(crawlEntries, attachments, options).width, warnings);
+        }
+        for (var r = 0; r < rollEntries.length; r++) {
+            centerEntry(rollEntries[r], entryAttachments(comp, rollEntries[r]), options);
+        }
+        var crawlLayer = findLayer(comp, CRAWL_NAME);
+        if (crawlLayer) {
+            restyleCrawlLayer(crawlLayer, controlLayer, options, oldTheme, warnings);
+        }
+        var statusIndex = findLayer(comp, STATUS_INDEX_NAME);
+        if (statusIndex) {
+            restyleText(statusIndex, options, oldTheme, 0, quoteColors);
+        }
+        if (findEffect(controlLayer, "Positive Color")) {
+            linkControllerColors(comp, controlLayer, options, warnings);
+        }
+        controlLayer.comment = themeToJson(themeFromOptions(options));
+        return warnings;
+    }
+
+    // Fill color of the status strip's panel, which follows the bar's background.
+    function statusPanelFills(comp) {
+        var panelLayer = findLayer(comp, STATUS_PANEL_NAME);
+        if (!panelLayer) {
+            return [];
+        }
+        return [panelLayer.property("ADBE Root Vectors Group").property("Panel").property("ADBE Vectors Group")
+            .property("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color")];
+    }
+
+    function ensureColorControl(layer, effectName, color) {
+        var effect = findEffect(layer, effectName);
+        if (!effect) {
+            effect = layer.property("ADBE Effect Parade").addProperty("ADBE Color Control");
+            effect.name = effectName;
+        }
+        var control = effect.property("ADBE Color Control-0001");
+        setUnlessKeyed(control, [color[0], color[1], color[2], color.length > 3 ? color[3] : 1]);
+        return control;
+    }
+
+    /**
+     * Source Text expression that hands quote colors to the controller: a fill the builder gave
+     * gains, losses or flat quotes (matched against `options`) becomes the matching color
+     * control's, while other fills, like snapshot flashes, stay. Text styles in expressions need
+     * After Effects 2020 or later.
+     */
+    function linkedTextColorExpression(options) {
+        var linked = [];
+        for (var i = 0; i < ESSENTIAL_CONTROLS.length; i++) {
+            var control = ESSENTIAL_CONTROLS[i];
+            if (control.color && control.color !== "backgroundColor") {
+                var color = options[control.color];
+                linked.push('  [' + jsonLiteral([color[0], color[1], color[2]]) + ', "' + control.effect + '"]');
+            }
+        }
+        return 'var ctrl = thisComp.layer("' + CONTROLLER_NAME + '");\n' +
+            'var result = text.sourceText.style;\n' +
+            'var fill = result.fillColor;\n' +
+            'var linked = [\n' + linked.join(",\n") + '\n];\n' +
+            'for (var i = 0; i < linked.length; i++) {\n' +
+            '  var c = linked[i][0];\n' +
+            '  if (Math.abs(fill[0] - c[0]) <= ' + THEME_COLOR_TOLERANCE + ' && Math.abs(fill[1] - c[1]) <= ' + THEME_COLOR_TOLERANCE +
+            ' && Math.abs(fill[2] - c[2]) <= ' + THEME_COLOR_TOLERANCE + ') {\n' +
+            '    result = result.setFillColor(ctrl.effect(linked[i][1])("Color").slice(0, 3));\n' +
+            '    break;\n' +
+            '  }\n' +
+            '}\n' +
+            'result;';
+    }
+
+    // text.sourceText.style and setFillColor arrived in After Effects 2020 (17.0).
+    function supportsTextStyleExpressions() {
+        return parseFloat(app.version) >= 17;
+    }
+
+    function controllerColorExpression(effectName) {
+        return 'thisComp.layer("' + CONTROLLER_NAME + '").effect("' + effectName + '")("Color");';
+    }
+
+    /**
+     * Adds the color controls from ESSENTIAL_CONTROLS to the controller (set from `options` unless
+     * keyframed) and points the background fill, the quote text and the single crawl's color
+     * animators at them, so the ticker can be recolored from the controller alone. Before After
+     * Effects 2020 the quote text keeps its own colors, with a warning.
+     */
+    function linkControllerColors(comp, controlLayer, options, warnings) {
+        for (var c = 0; c < ESSENTIAL_CONTROLS.length; c++) {
+            if (ESSENTIAL_CONTROLS[c].color) {
+                ensureColorControl(controlLayer, ESSENTIAL_CONTROLS[c].effect, options[ESSENTIAL_CONTROLS[c].color]);
+            }
+        }
+        var backgroundLayer = findLayer(comp, "Ticker Background");
+        if (backgroundLayer) {
+            backgroundLayer.property("Contents").property("Background").property("Contents")
+                .property("ADBE Vector Graphic - Fill").property("ADBE Vector Fill Color").expression = controllerColorExpression("Background Color");
+        }
+        var panelFills = statusPanelFills(comp);
+        for (var p = 0; p < panelFills.length; p++) {
+            panelFills[p].expression = controllerColorExpression("Background Color");
+        }
+
+        var textExpression = supportsTextStyleExpressions() ? linkedTextColorExpression(options) : null;
+        if (!textExpression) {
+            warnings.push("Quote text colors can only follow \"" + CONTROLLER_NAME + "\" in After Effects 2020 or later; " +
+                "the text keeps the colors it was built with.");
+        }
+        for (var i = 1; i <= comp.numLayers && textExpression; i++) {
+            var layer = comp.layer(i);
+            if ((isEntryLayer(layer) && parseQuoteLayerName(layer.name, QUOTE_SUFFIX)) || layer.name === CRAWL_NAME ||
+                    layer.name === STATUS_INDEX_NAME) {
+                layer.property("ADBE Text Properties").property("ADBE Text Document").expression = textExpression;
+            }
+        }
+        var crawlLayer = findLayer(comp, CRAWL_NAME);
+        if (crawlLayer) {
+            var animators = crawlLayer.property("ADBE Text Properties").property("ADBE Text Animators");
+            for (var a = 1; a <= animators.numProperties; a++) {
+                // The crawl's color animators are named after the controls they follow.
+                if (indexOf(CRAWL_COLOR_ANIMATORS, animators.property(a).name) !== -1) {
+                    animators.property(a).property("ADBE Text Animator Properties").property("ADBE Text Fill Color")
+                        .expression = controllerColorExpression(animators.property(a).name);
+                }
+            }
+        }
+    }
+
+    function essentialGraphicsNames(comp) {
+        var names = [];
+        for (var i = 1; i <= comp.motionGraphicsTemplateControllerCount; i++) {
+            names.push(comp.getMotionGraphicsTemplateControllerName(i));
+        }
+        return names;
+    }
+
+    function addEssentialProperty(comp, prop, name, names) {
+        if (indexOf(names, name) !== -1) {
+            return true;
+        }
+        if (!prop.canAddToMotionGraphicsTemplate(comp) || !prop.addToMotionGraphicsTemplateAs(comp, name)) {
+            return false;
+        }
+        names.push(name);
+        return true;
+    }
+
+    /**
+     * Readies a built ticker for Premiere Pro: links its colors to the controller, then adds the
+     * ESSENTIAL_CONTROLS that drive this style, each symbol's quote text (or the single crawl's
+     * text) and the status strip's time to the comp's Essential Graphics panel. Properties
+     * already in the panel keep their place and name. Quote text edited there keeps its slot in
+     * the crawl, and perfect-loop repeats keep the text they were built with. Returns warnings.
+     */
+    function syncEssentialGraphics(comp, options) {
+        var controlLayer = findLayer(comp, CONTROLLER_NAME);
+        var warnings = [];
+        linkControllerColors(comp, controlLayer, options, warnings);
+        if (typeof findSlider(controlLayer, "Cycle Width").addToMotionGraphicsTemplateAs !== "function") {
+            warnings.push("The Essential Graphics panel can only be filled in After Effects CC 2019 or later; the colors were linked to \"" +
+                CONTROLLER_NAME + "\" but nothing was added to the panel.");
+            return warnings;
+        }
+        if (!comp.motionGraphicsTemplateName) {
+            comp.motionGraphicsTemplateName = comp.name;
+        }
+
+        var names = essentialGraphicsNames(comp);
+        var refused = [];
+        for (var c = 0; c < ESSENTIAL_CONTROLS.length; c++) {
+            var control = ESSENTIAL_CONTROLS[c];
+            var effect = findEffect(controlLayer, control.effect);
+            if (effect && indexOf(control.styles, options.style) !== -1 && !addEssentialProperty(comp, effect.property(1), control.name, names)) {
+                refused.push(control.name);
+            }
+        }
+        for (var i = 1; i <= comp.numLayers; i++) {
+            var layer = comp.layer(i);
+            var parsed = isEntryLayer(layer) ? parseQuoteLayerName(layer.name, QUOTE_SUFFIX) : null;
+            var label = null;
+            if (parsed && parsed.copy === 1) {
+                label = layer.name;
+            } else if (layer.name === CRAWL_NAME) {
+                label = "Crawl Text";
+            } else if (layer.name === STATUS_TIME_NAME) {
+                label = "As Of Time";
+            }
+            if (label && !addEssentialProperty(comp, layer.property("ADBE Text Properties").property("ADBE Text Document"), label, names)) {
+                refused.push(label);
+            }
+        }
+        if (refused.length) {
+            warnings.push("After Effects would not add these to the Essential Graphics panel: " + refused.join(", ") + ".");
+        }
+        return warnings;
+    }
+
+    // Exports a ticker comp as a Motion Graphics template (.mogrt) for Premiere Pro.
+    function exportMogrt(comp, file) {
+        if (typeof comp.exportAsMotionGraphicsTemplate !== "function") {
+            throw new Error("Exporting .mogrt files needs After Effects CC 2018 or later.");
+        }
+        if (!comp.motionGraphicsTemplateControllerCount) {
+            throw new Error("\"" + comp.name + "\" has nothing in its Essential Graphics panel; build or update it with Essential Graphics on first.");
+        }
+        if (!comp.exportAsMotionGraphicsTemplate(true, file.fsName)) {
+            throw new Error("After Effects could not export " + decodeURI(file.name) + "; save the project and try again.");
+        }
+    }
+
+    function buildUI(thisObj) {
+        var pal = (thisObj instanceof Panel) ? thisObj : new Window("palette", SCRIPT_NAME, undefined, {resizeable: true});
+        if (!pal) {
+            return pal;
+        }
+
+        pal.orientation = "column";
+        pal.alignChildren = ["fill", "top"];
+        pal.spacing = 6;
+        pal.margins = 12;
+
+        var rows = copyQuotes(TICKER_DATA);
+        var fileStatus = {asOf: STATUS_STRIP.asOf, session: STATUS_STRIP.session};
+        if (DATA_SOURCE.path) {
+            var startup = importQuotes(new File(DATA_SOURCE.path));
+            if (startup) {
+                rows = startup.quotes;
+                fileStatus = startup.status;
+            }
+        }
+
+        function addPanel(parent, title) {
+            var panel = parent.add("panel", undefined, title);
+            panel.orientation = "column";
+            panel.alignChildren = ["fill", "top"];
+            panel.spacing = 4;
+            panel.margins = 10;
+            return panel;
+        }
+
+        function addEditRow(parent, label, defaultValue, chars) {
+            var group = parent.add("group");
+            group.orientation = "row";
+            group.alignChildren = ["left", "center"];
+            group.spacing = 6;
+            var st = group.add("statictext", undefined, label);
+            st.preferredSize.width = 130;
+            var et = group.add("edittext", undefined, defaultValue.toString());
+            et.characters = chars || 6;
+            return et;
+        }
+
+        function addDropdownRow(parent, label, items, selectedIndex) {
+            var group = parent.add("group");
+            group.orientation = "row";
+            group.alignChildren = ["left", "center"];
+            group.spacing = 6;
+            var st = group.add("statictext", undefined, label);
+            st.preferredSize.width = 130;
+            var dd = group.add("dropdownlist", undefined, items);
+            dd.selection = Math.max(0, selectedIndex);
+            return dd;
+        }
+
+        function addCheckbox(parent, label, value) {
+            var cb = parent.add("checkbox", undefined, label);
+            cb.value = value;
+            return cb;
+        }
+
+        function clamp01(value) {
+            return Math.max(0, Math.min(1, value));
+        }
+
+        function formatColor(color) {
+            var parts = [];
+            for (var i = 0; i < color.length; i++) {
+                parts.push(clamp01(color[i]).toFixed(3));
+            }
+            return parts.join(", ");
+        }
+
+        function parseColor(text, fallback) {
+            var out = fallback.slice();
+            var parts = text.split(/[, ]+/);
+            var idx = 0;
+            for (var i = 0; i < parts.length && idx < fallback.length; i++) {
+                var val = parseFloat(parts[i]);
+                if (isNaN(val)) {
+                    continue;
+                }
+                if (val > 1.0) {
+                    val = Math.max(0, Math.min(255, val)) / 255;
+                }
+                out[idx] = clamp01(val);
+                idx++;
+            }
+            return out;
+        }
+
+        function rgbArrayToHex(color) {
+            var r = Math.round(clamp01(color[0]) * 255);
+            var g = Math.round(clamp01(color[1]) * 255);
+            var b = Math.round(clamp01(color[2]) * 255);
+            return (r << 16) | (g << 8) | b;
+        }
+
+        function hexToRgb(hex) {
+            return [
+                ((hex >> 16) & 0xFF) / 255,
+                ((hex >> 8) & 0xFF) / 255,
+                (hex & 0xFF) / 255
+            ];
+        }
+
+        function addColorRow(parent, label, defaultValue) {
+            var group = parent.add("group");
+            group.orientation = "row";
+            group.alignChildren = ["left", "center"];
+            group.spacing = 6;
+            var st = group.add("statictext", undefined, label);
+            st.preferredSize.width = 130;
+            var et = group.add("edittext", undefined, formatColor(defaultValue));
+            et.characters = 18;
+            var pickBtn = group.add("button", undefined, "Pick");
+            pickBtn.onClick = function () {
+                var current = parseColor(et.text, defaultValue);
+                if (typeof $.colorPicker === "function") {
+                    var picked = $.colorPicker(rgbArrayToHex(current));
+                    if (picked >= 0) {
+                        var rgb = hexToRgb(picked);
+                        current[0] = rgb[0];
+                        current[1] = rgb[1];
+                        current[2] = rgb[2];
+                        et.text = formatColor(current);
+                    }
+                } else {
+                    alert("Color picker unavailable. Enter RGB values manually.");
+                }
+            };
+            return et;
+        }
+
+        function formatSymbolDecimals(map) {
+            var parts = [];
+            for (var symbol in map) {
+                if (map.hasOwnProperty(symbol)) {
+                    parts.push(symbol + "=" + map[symbol]);
+                }
+            }
+            return parts.join(", ");
+        }
+
+        function parseSymbolDecimals(text) {
+            var map = {};
+            var parts = text.split(/[,;]+/);
+            for (var i = 0; i < parts.length; i++) {
+                var match = /^\s*([^=:\s]+)\s*[=:]\s*(\d+|auto)\s*$/i.exec(parts[i]);
+                if (match) {
+                    map[match[1].toUpperCase()] = /^auto$/i.test(match[2]) ? "auto" : Math.min(10, parseInt(match[2], 10));
+                }
+            }
+            return map;
+        }
+
+        function plainNumber(value) {
+            if (!isNumber(value)) {
+                return String(value);
+            }
+            return value.toFixed(resolveDecimals(value, "auto"));
+        }
+
+        var compPanel = addPanel(pal, "Composition");
+        var compNameEt = addEditRow(compPanel, "Comp name", COMP_SETTINGS.name, 16);
+        var compSizeGroup = compPanel.add("group");
+        compSizeGroup.orientation = "row";
+        compSizeGroup.spacing = 6;
+        compSizeGroup.alignChildren = ["left", "center"];
+        var compWidthEt = compSizeGroup.add("edittext", undefined, COMP_SETTINGS.width.toString());
+        compWidthEt.characters = 7;
+        var xLabel = compSizeGroup.add("statictext", undefined, "x");
+        xLabel.preferredSize.width = 12;
+        var compHeightEt = compSizeGroup.add("edittext", undefined, COMP_SETTINGS.height.toString());
+        compHeightEt.characters = 7;
+
+        var compTimingGroup = compPanel.add("group");
+        compTimingGroup.orientation = "row";
+        compTimingGroup.spacing = 6;
+        compTimingGroup.alignChildren = ["left", "center"];
+        var compDurationEt = compTimingGroup.add("edittext", undefined, COMP_SETTINGS.duration.toString());
+        compDurationEt.characters = 6;
+        compTimingGroup.add("statictext", undefined, "sec  @");
+        var compFpsEt = compTimingGroup.add("edittext", undefined, COMP_SETTINGS.frameRate.toString());
+        compFpsEt.characters = 5;
+        compTimingGroup.add("statictext", undefined, "fps");
+
+        var textPanel = addPanel(pal, "Text & Motion");
+        var fontEt = addEditRow(textPanel, "Font (PostScript name)", TICKER_OPTIONS.font, 16);
+        var fontSizeEt = addEditRow(textPanel, "Font size (px)", TICKER_OPTIONS.fontSize, 5);
+        var trackingEt = addEditRow(textPanel, "Tracking", TICKER_OPTIONS.tracking, 5);
+        var gapEt = addEditRow(textPanel, "Gap (px)", TICKER_OPTIONS.gap, 5);
+        var speedEt = addEditRow(textPanel, "Scroll speed (px/s)", TICKER_OPTIONS.scrollSpeed, 5);
+        var styles = ["crawl", "roll", "board"];
+        var styleDd = addDropdownRow(textPanel, "Style", ["Crawl", "Vertical roll", "Split-flap board"], indexOf(styles, TICKER_OPTIONS.style));
+        var rollHoldEt = addEditRow(textPanel, "Roll hold / slide (s)", TICKER_OPTIONS.rollHold, 4);
+        var rollTransitionEt = rollHoldEt.parent.add("edittext", undefined, TICKER_OPTIONS.rollTransition.toString());
+        rollTransitionEt.characters = 4;
+        var boardColumnsEt = addEditRow(textPanel, "Board columns", TICKER_OPTIONS.boardColumns, 4);
+        var renderModes = ["layers", "single"];
+        var renderModeDd = addDropdownRow(textPanel, "Render mode", ["Layer per symbol", "Single text layer"], indexOf(renderModes, TICKER_OPTIONS.renderMode));
+        var perfectLoopCb = addCheckbox(textPanel, "Perfect loop (repeat symbols, snap speed to duration)", TICKER_OPTIONS.perfectLoop);
+        var easeInEt = addEditRow(textPanel, "Speed ease in / out (s)", TICKER_OPTIONS.easeIn, 4);
+        var easeOutEt = easeInEt.parent.add("edittext", undefined, TICKER_OPTIONS.easeOut.toString());
+        easeOutEt.characters = 4;
+        var intros = ["none", "slide", "wipe"];
+        var introDd = addDropdownRow(textPanel, "Bar intro / outro", ["None", "Slide up", "Wipe"], indexOf(intros, TICKER_OPTIONS.intro));
+        var introDurationEt = addEditRow(textPanel, "Intro / outro length (s)", TICKER_OPTIONS.introDuration, 4);
+        var outroDurationEt = introDurationEt.parent.add("edittext", undefined, TICKER_OPTIONS.outroDuration.toString());
+        outroDurationEt.characters = 4;
+        var essentialGraphicsCb = addCheckbox(textPanel, "Essential Graphics controls (for a Premiere .mogrt)", TICKER_OPTIONS.essentialGraphics);
+        var spotlightCb = addCheckbox(textPanel, "Spotlight a symbol (stop, enlarge and highlight it)", TICKER_OPTIONS.spotlight);
+        var spotlightSymbolEt = addEditRow(textPanel, "Spotlight symbol / after (s)", TICKER_OPTIONS.spotlightSymbol, 8);
+        var spotlightTimeEt = spotlightSymbolEt.parent.add("edittext", undefined, TICKER_OPTIONS.spotlightTime.toString());
+        spotlightTimeEt.characters = 4;
+        var spotlightHoldEt = addEditRow(textPanel, "Spotlight hold / ease (s)", TICKER_OPTIONS.spotlightHold, 4);
+        var spotlightEaseEt = spotlightHoldEt.parent.add("edittext", undefined, TICKER_OPTIONS.spotlightEase.toString());
+        spotlightEaseEt.characters = 4;
+        var updateEffects = ["flash", "count", "instant"];
+        var updateEffectDd = addDropdownRow(textPanel, "Snapshot changes", ["Flash", "Count up", "Instant"], indexOf(updateEffects, TICKER_OPTIONS.updateEffect));
+        var transitionEt = addEditRow(textPanel, "Flash / count time (s)", TICKER_OPTIONS.transitionDuration, 5);
+        var sparklineWidthEt = addEditRow(textPanel, "Sparkline width (px)", TICKER_OPTIONS.sparklineWidth, 5);
+        var sortModes = ["none", "symbol", "percent"];
+        var sortDd = addDropdownRow(textPanel, "Sort within groups", ["As listed", "Symbol (A-Z)", "Best % first"], indexOf(sortModes, TICKER_OPTIONS.sortQuotes));
+        var logoFolderEt = addEditRow(textPanel, "Logo folder", TICKER_OPTIONS.logoFolder, 16);
+        var logoBrowseBtn = logoFolderEt.parent.add("button", undefined, "Browse...");
+
+        var colorPanel = addPanel(pal, "Colors");
+        var themeNames = [];
+        for (var t = 0; t < THEME_PRESETS.length; t++) {
+            themeNames.push(THEME_PRESETS[t].name);
+        }
+        var themeDd = addDropdownRow(colorPanel, "Theme", themeNames, 0);
+        var loadThemeBtn = themeDd.parent.add("button", undefined, "Load Theme...");
+        var saveThemeBtn = themeDd.parent.add("button", undefined, "Save Theme...");
+        var applyThemeBtn = themeDd.parent.add("button", undefined, "Apply to Existing");
+        var positiveColorEt = addColorRow(colorPanel, "Positive RGB", TICKER_OPTIONS.positiveColor);
+        var negativeColorEt = addColorRow(colorPanel, "Negative RGB", TICKER_OPTIONS.negativeColor);
+        var neutralColorEt = addColorRow(colorPanel, "Neutral RGB", TICKER_OPTIONS.neutralColor);
+        var backgroundColorEt = addColorRow(colorPanel, "Background RGB", TICKER_OPTIONS.backgroundColor);
+        var strokeColorEt = addColorRow(colorPanel, "Stroke RGB", TICKER_OPTIONS.strokeColor);
+        var strokeWidthEt = addEditRow(colorPanel, "Stroke width (px)", TICKER_OPTIONS.strokeWidth, 5);
+        var headerTextColorEt = addColorRow(colorPanel, "Header text RGB", TICKER_OPTIONS.headerTextColor);
+        var flashColorEt = addColorRow(colorPanel, "Flash RGB", TICKER_OPTIONS.flashColor);
+
+        var formatPanel = addPanel(pal, "Number Format");
+        var decimalSeparatorEt = addEditRow(formatPanel, "Decimal / grouping", NUMBER_FORMAT.decimalSeparator, 2);
+        var groupSeparatorEt = decimalSeparatorEt.parent.add("edittext", undefined, NUMBER_FORMAT.groupSeparator);
+        groupSeparatorEt.characters = 2;
+        var currencyEt = addEditRow(formatPanel, "Currency symbol", NUMBER_FORMAT.currencySymbol, 4);
+        var currencyPositions = ["prefix", "suffix"];
+        var currencyPositionDd = currencyEt.parent.add("dropdownlist", undefined, ["Before price", "After price"]);
+        currencyPositionDd.selection = Math.max(0, indexOf(currencyPositions, NUMBER_FORMAT.currencyPosition));
+        var decimalsEt = addEditRow(formatPanel, "Decimals (or auto)", NUMBER_FORMAT.decimals, 5);
+        var percentDecimalsEt = addEditRow(formatPanel, "Percent decimals", NUMBER_FORMAT.percentDecimals, 5);
+        var symbolDecimalsEt = addEditRow(formatPanel, "Per-symbol decimals", formatSymbolDecimals(NUMBER_FORMAT.symbolDecimals), 16);
+        symbolDecimalsEt.helpTip = "e.g. SHIB=8, BRK.A=0";
+        var abbreviateCb = addCheckbox(formatPanel, "Abbreviate large values (K/M/B/T)", NUMBER_FORMAT.abbreviate);
+        var arrowStyles = ["triangles", "arrows", "signs"];
+        var arrowDd = addDropdownRow(formatPanel, "Change arrows", ["▲ ▼", "↑ ↓", "+ -"], indexOf(arrowStyles, NUMBER_FORMAT.arrows));
+
+        var newsPanel = addPanel(pal, "News Lane");
+        var newsCb = addCheckbox(newsPanel, "Headline lane under the quotes", NEWS_LANE.enabled);
+        newsPanel.add("statictext", undefined, "Headlines (one per line)");
+        var headlinesEt = newsPanel.add("edittext", undefined, NEWS_LANE.headlines.join("\n"), {multiline: true, scrolling: true});
+        headlinesEt.preferredSize.height = 70;
+        var loadHeadlinesBtn = newsPanel.add("button", undefined, "Load Headlines...");
+        var newsFontEt = addEditRow(newsPanel, "Font / size (px)", NEWS_LANE.font, 12);
+        var newsSizeEt = newsFontEt.parent.add("edittext", undefined, NEWS_LANE.fontSize.toString());
+        newsSizeEt.characters = 4;
+        var newsHeightEt = addEditRow(newsPanel, "Lane height (px)", NEWS_LANE.height, 5);
+        var newsSpeedEt = addEditRow(newsPanel, "Speed (px/s)", NEWS_LANE.scrollSpeed, 5);
+        var newsColorEt = addColorRow(newsPanel, "Headline RGB", NEWS_LANE.color);
+        var breakingCb = addCheckbox(newsPanel, "Breaking alert replaces the headlines", NEWS_LANE.breaking);
+        var breakingTextEt = addEditRow(newsPanel, "Alert text", NEWS_LANE.breakingText, 20);
+        var breakingStartEt = addEditRow(newsPanel, "Alert start / length (s)", NEWS_LANE.breakingStart, 4);
+        var breakingDurationEt = breakingStartEt.parent.add("edittext", undefined, NEWS_LANE.breakingDuration.toString());
+        breakingDurationEt.characters = 4;
+
+        var statusPanel = addPanel(pal, "Market Status");
+        var statusCb = addCheckbox(statusPanel, "Status strip at the left end of the bar", STATUS_STRIP.enabled);
+        var asOfEt = addEditRow(statusPanel, "As of", fileStatus.asOf, 12);
+        var sessions = ["", "pre", "open", "closed", "halted"];
+        var sessionDd = addDropdownRow(statusPanel, "Session", ["None", "Pre-market", "Open", "Closed", "Halted"], indexOf(sessions, fileStatus.session));
+        var indexSymbolEt = addEditRow(statusPanel, "Index symbol", STATUS_STRIP.indexSymbol, 8);
+
+        var outputPanel = addPanel(pal, "Outputs");
+        var outputsCb = addCheckbox(outputPanel, "Build the checked output presets instead of one comp", OUTPUTS.enabled);
+        var presetCbs = [];
+        for (var p = 0; p < OUTPUTS.presets.length; p++) {
+            var preset = OUTPUTS.presets[p];
+            presetCbs.push(addCheckbox(outputPanel, preset.name + " (" + preset.width + "x" + preset.height +
+                (preset.alpha ? ", alpha" : "") + ")", preset.enabled));
+        }
+        var renderCb = addCheckbox(outputPanel, "Add the built comps to the Render Queue", RENDER_OUTPUT.enabled);
+        var templateEt = addEditRow(outputPanel, "Module template", RENDER_OUTPUT.template, 16);
+        var alphaTemplateEt = addEditRow(outputPanel, "Alpha template", RENDER_OUTPUT.alphaTemplate, 16);
+        var fileNameEt = addEditRow(outputPanel, "File name", RENDER_OUTPUT.fileName, 20);
+        outputPanel.add("statictext", undefined, "Tokens: {comp} {preset} {width} {height} {date}");
+        var renderFolderEt = addEditRow(outputPanel, "Render folder", RENDER_OUTPUT.folder, 16);
+        var renderBrowseBtn = renderFolderEt.parent.add("button", undefined, "Browse...");
+
+        var symbolsPanel = addPanel(pal, "Symbols");
+        var quoteList = symbolsPanel.add("listbox", undefined, [], {
+            numberOfColumns: 7,
+            showHeaders: true,
+            columnTitles: ["Symbol", "Group", "Price", "Prev Close", "Change", "%", "Snapshots"],
+            columnWidths: [80, 80, 80, 80, 70, 60, 70]
+        });
+        quoteList.preferredSize.height = 200;
+
+        var quoteEditGroup = symbolsPanel.add("group");
+        quoteEditGroup.orientation = "row";
+        quoteEditGroup.spacing = 4;
+        quoteEditGroup.alignChildren = ["left", "center"];
+        var symbolEt = quoteEditGroup.add("edittext", undefined, "");
+        symbolEt.characters = 7;
+        var groupEt = quoteEditGroup.add("edittext", undefined, "");
+        groupEt.characters = 7;
+        groupEt.helpTip = "Group (optional; e.g. a sector shown as a section header)";
+        var priceEt = quoteEditGroup.add("edittext", undefined, "");
+        priceEt.characters = 7;
+        var previousCloseEt = quoteEditGroup.add("edittext", undefined, "");
+        previousCloseEt.characters = 7;
+        previousCloseEt.helpTip = "Previous close (optional; change and percent are derived from it when left empty)";
+        var changeEt = quoteEditGroup.add("edittext", undefined, "");
+        changeEt.characters = 6;
+        var percentEt = quoteEditGroup.add("edittext", undefined, "");
+        percentEt.characters = 6;
+
+        var quoteButtons = symbolsPanel.add("group");
+        quoteButtons.orientation = "row";
+        quoteButtons.spacing = 4;
+        quoteButtons.alignChildren = ["left", "center"];
+        var addQuoteBtn = quoteButtons.add("button", undefined, "Add");
+        var updateQuoteBtn = quoteButtons.add("button", undefined, "Update");
+        var removeQuoteBtn = quoteButtons.add("button", undefined, "Remove");
+        var moveUpBtn = quoteButtons.add("button", undefined, "Up");
+        var moveDownBtn = quoteButtons.add("button", undefined, "Down");
+
+        var importGroup = symbolsPanel.add("group");
+        importGroup.orientation = "row";
+        importGroup.spacing = 4;
+        importGroup.alignChildren = ["left", "center"];
+        var loadFileBtn = importGroup.add("button", undefined, "Load Quote File...");
+        var resetQuotesBtn = importGroup.add("button", undefined, "Reset to Defaults");
+        var dropFolderEt = addEditRow(symbolsPanel, "Drop folder", DATA_SOURCE.dropFolder, 20);
+        var dropBrowseBtn = dropFolderEt.parent.add("button", undefined, "Browse...");
+        var loadDropBtn = dropFolderEt.parent.add("button", undefined, "Load Newest");
+        var dropLoaded = null; // path and time of the drop file last loaded into the table
+
+        var buttonGroup = pal.add("group");
+        buttonGroup.orientation = "row";
+        buttonGroup.alignChildren = ["fill", "center"];
+        buttonGroup.spacing = 8;
+
+        var generateBtn = buttonGroup.add("button", undefined, "Generate");
+        var updateBtn = buttonGroup.add("button", undefined, "Update Existing");
+        var exportMogrtBtn = buttonGroup.add("button", undefined, "Export .mogrt...");
+
+        function refreshQuoteList(selectIndex) {
+            quoteList.removeAll();
+            for (var i = 0; i < rows.length; i++) {
+                var item = quoteList.add("item", rows[i].symbol);
+                item.subItems[0].text = rows[i].group || "";
+                item.subItems[1].text = plainNumber(rows[i].price);
+                item.subItems[2].text = isNumber(rows[i].previousClose) ? plainNumber(rows[i].previousClose) : "";
+                item.subItems[3].text = plainNumber(rows[i].change);
+                item.subItems[4].text = plainNumber(rows[i].percent * 100);
+                item.subItems[5].text = rows[i].snapshots ? rows[i].snapshots.length.toString() : "";
+            }
+            if (selectIndex !== undefined && selectIndex >= 0 && selectIndex < rows.length) {
+                quoteList.selection = selectIndex;
+            }
+        }
+
+        function readQuoteFields() {
+            var report = {errors: [], warnings: []};
+            var quote = normalizeQuote({
+                symbol: symbolEt.text,
+                group: groupEt.text,
+                price: priceEt.text,
+                previousClose: previousCloseEt.text,
+                change: changeEt.text,
+                percent: percentEt.text
+            }, "Quote", report, "percent");
+            if (!quote) {
+                alert(report.errors.join("\n"));
+            }
+            return quote;
+        }
+
+        function findRow(symbol) {
+            for (var i = 0; i < rows.length; i++) {
+                if (rows[i].symbol === symbol) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        quoteList.onChange = function () {
+            if (!quoteList.selection) {
+                return;
+            }
+            var row = rows[quoteList.selection.index];
+            symbolEt.text = row.symbol;
+            groupEt.text = row.group || "";
+            priceEt.text = plainNumber(row.price);
+            previousCloseEt.text = isNumber(row.previousClose) ? plainNumber(row.previousClose) : "";
+            changeEt.text = plainNumber(row.change);
+            percentEt.text = plainNumber(row.percent * 100);
+        };
+
+        addQuoteBtn.onClick = function () {
+            var quote = readQuoteFields();
+            if (!quote) {
+                return;
+            }
+            if (findRow(quote.symbol) >= 0) {
+                alert(quote.symbol + " is already in the list. Select it and use Update instead.");
+                return;
+            }
+            rows.push(quote);
+            refreshQuoteList(rows.length - 1);
+        };
+
+        updateQuoteBtn.onClick = function () {
+            if (!quoteList.selection) {
+                alert("Select a symbol to update.");
+                return;
+            }
+            var quote = readQuoteFields();
+            if (!quote) {
+                return;
+            }
+            var index = quoteList.selection.index;
+            var existing = findRow(quote.symbol);
+            if (existing >= 0 && existing !== index) {
+                alert(quote.symbol + " is already in the list.");
+                return;
+            }
+            if (rows[index].snapshots) {
+                quote.snapshots = rows[index].snapshots;
+            }
+            if (rows[index].sparkline) {
+                quote.sparkline = rows[index].sparkline;
+            }
+            rows[index] = quote;
+            refreshQuoteList(index);
+        };
+
+        removeQuoteBtn.onClick = function () {
+            if (!quoteList.selection) {
+                return;
+            }
+            var index = quoteList.selection.index;
+            rows.splice(index, 1);
+            refreshQuoteList(Math.min(index, rows.length - 1));
+        };
+
+        function moveSelected(step) {
+            if (!quoteList.selection) {
+                return;
+            }
+            var index = quoteList.selection.index;
+            var target = index + step;
+            if (target < 0 || target >= rows.length) {
+                return;
+            }
+            var row = rows[index];
+            rows[index] = rows[target];
+            rows[target] = row;
+            refreshQuoteList(target);
+        }
+
+        moveUpBtn.onClick = function () {
+            moveSelected(-1);
+        };
+
+        moveDownBtn.onClick = function () {
+            moveSelected(1);
+        };
+
+        loadFileBtn.onClick = function () {
+            var file = File.openDialog("Select a quote file", "Quote files:*.csv;*.json;*.txt;*.kv,All files:*.*");
+            if (!file) {
+                return;
+            }
+            var imported = importQuotes(file);
+            if (imported) {
+                rows = imported.quotes;
+                refreshQuoteList(0);
+                showMarketStatus(imported.status);
+            }
+        };
+
+        /**
+         * Loads the drop folder's newest quote file into the table, unless it is the file loaded
+         * last time. Runs when the panel opens and before every build, so the feed's latest
+         * quotes are used without going through "Load Quote File...".
+         */
+        function pollDropFolder() {
+            var path = trimString(dropFolderEt.text);
+            var file = path.length ? newestDropFile(new Folder(path)) : null;
+            if (!file) {
+                return;
+            }
+            var stamp = file.fsName + "@" + file.modified.getTime();
+            if (stamp === dropLoaded) {
+                return;
+            }
+            var imported = importQuotes(file);
+            if (imported) {
+                dropLoaded = stamp;
+                rows = imported.quotes;
+                refreshQuoteList(0);
+                showMarketStatus(imported.status);
+            }
+        }
+
+        dropBrowseBtn.onClick = function () {
+            var folder = Folder.selectDialog("Select the folder the quote feed writes to");
+            if (folder) {
+                dropFolderEt.text = folder.fsName;
+                dropLoaded = null;
+                pollDropFolder();
+            }
+        };
+
+        loadDropBtn.onClick = function () {
+            var path = trimString(dropFolderEt.text);
+            if (!path.length || !newestDropFile(new Folder(path))) {
+                alert(SCRIPT_NAME + ": No quote files found in the drop folder.");
+                return;
+            }
+            dropLoaded = null;
+            pollDropFolder();
+        };
+
+        logoBrowseBtn.onClick = function () {
+            var folder = Folder.selectDialog("Select a folder of logos named by symbol");
+            if (folder) {
+                logoFolderEt.text = folder.fsName;
+            }
+        };
+
+        renderBrowseBtn.onClick = function () {
+            var folder = Folder.selectDialog("Select the folder to render to");
+            if (folder) {
+                renderFolderEt.text = folder.fsName;
+            }
+        };
+
+        resetQuotesBtn.onClick = function () {
+            rows = copyQuotes(TICKER_DATA);
+            refreshQuoteList(0);
+        };
+
+        function loadHeadlinesInto(file) {
+            var headlines;
+            try {
+                headlines = loadHeadlines(file);
+            } catch (err) {
+                alert(SCRIPT_NAME + ": Could not load " + file.name + "\n" + err.toString());
+                return;
+            }
+            if (!headlines.length) {
+                alert(SCRIPT_NAME + ": No headlines found in " + file.name + ".");
+                return;
+            }
+            headlinesEt.text = headlines.join("\n");
+        }
+
+        loadHeadlinesBtn.onClick = function () {
+            var file = File.openDialog("Select a headline file", "Headline files:*.txt;*.json,All files:*.*");
+            if (file) {
+                loadHeadlinesInto(file);
+            }
+        };
+
+        if (NEWS_LANE.path) {
+            loadHeadlinesInto(new File(NEWS_LANE.path));
+        }
+
+        function readHeadlines() {
+            var lines = headlinesEt.text.split(/\r\n|\r|\n/);
+            var headlines = [];
+            for (var i = 0; i < lines.length; i++) {
+                if (trimString(lines[i]).length) {
+                    headlines.push(trimString(lines[i]));
+                }
+            }
+            return headlines;
+        }
+
+        function showTheme(theme) {
+            fontEt.text = theme.font;
+            fontSizeEt.text = theme.fontSize.toString();
+            trackingEt.text = theme.tracking.toString();
+            gapEt.text = theme.gap.toString();
+            backgroundColorEt.text = formatColor(theme.backgroundColor);
+            strokeColorEt.text = formatColor(theme.strokeColor);
+            strokeWidthEt.text = theme.strokeWidth.toString();
+            positiveColorEt.text = formatColor(theme.positiveColor);
+            negativeColorEt.text = formatColor(theme.negativeColor);
+            neutralColorEt.text = formatColor(theme.neutralColor);
+            headerTextColorEt.text = formatColor(theme.headerTextColor);
+        }
+
+        themeDd.onChange = function () {
+            if (themeDd.selection) {
+                showTheme(THEME_PRESETS[themeDd.selection.index]);
+            }
+        };
+
+        loadThemeBtn.onClick = function () {
+            var file = File.openDialog("Select a theme file", "Theme files:*.json,All files:*.*");
+            if (!file) {
+                return;
+            }
+            try {
+                showTheme(parseTheme(readTextFile(file), readOptions()));
+            } catch (err) {
+                alert(SCRIPT_NAME + ": Could not load " + file.name + "\n" + err.toString());
+            }
+        };
+
+        saveThemeBtn.onClick = function () {
+            var file = File.saveDialog("Save theme as", "Theme files:*.json");
+            if (!file) {
+                return;
+            }
+            if (!/\.json$/i.test(file.name)) {
+                file = new File(file.fsName + ".json");
+            }
+            var name = decodeURI(file.name).replace(/\.json$/i, "");
+            try {
+                writeTextFile(file, themeToJson(themeFromOptions(readOptions(), name)));
+            } catch (err) {
+                alert(SCRIPT_NAME + ": " + err.toString());
+            }
+        };
+
+        applyThemeBtn.onClick = function () {
+            var comp = findTickerComp(readSettings().name);
+            if (!comp) {
+                alert(SCRIPT_NAME + ": No ticker comp to restyle; select one or build it first.");
+                return;
+            }
+            app.beginUndoGroup(SCRIPT_NAME + " Theme");
+            try {
+                var warnings = applyTheme(comp, readOptions());
+                if (warnings.length) {
+                    alert(SCRIPT_NAME + "\n\n" + warnings.join("\n"));
+                }
+            } catch (err) {
+                alert(SCRIPT_NAME + " error: " + err.toString());
+            } finally {
+                app.endUndoGroup();
+            }
+        };
+
+        function showMarketStatus(status) {
+            // A file only overrides what it actually says.
+            if (status.asOf) {
+                asOfEt.text = status.asOf;
+            }
+            if (status.session) {
+                sessionDd.selection = indexOf(sessions, status.session);
+            }
+        }
+
+        function readStatus() {
+            if (!statusCb.value) {
+                return null;
+            }
+            return {
+                asOf: trimString(asOfEt.text),
+                session: sessions[sessionDd.selection ? sessionDd.selection.index : 0],
+                indexSymbol: trimString(indexSymbolEt.text).toUpperCase(),
+                font: STATUS_STRIP.font,
+                fontSize: STATUS_STRIP.fontSize,
+                padding: STATUS_STRIP.padding,
+                fadeWidth: STATUS_STRIP.fadeWidth,
+                textColor: STATUS_STRIP.textColor,
+                badgeTextColor: STATUS_STRIP.badgeTextColor
+            };
+        }
+
+        // The checked presets, or null when the single comp is built.
+        function readOutputs() {
+            if (!outputsCb.value) {
+                return null;
+            }
+            var presets = [];
+            for (var i = 0; i < presetCbs.length; i++) {
+                if (presetCbs[i].value) {
+                    presets.push(OUTPUTS.presets[i]);
+                }
+            }
+            return presets;
+        }
+
+        function readRender() {
+            if (!renderCb.value) {
+                return null;
+            }
+            return {
+                template: trimString(templateEt.text) || RENDER_OUTPUT.template,
+                alphaTemplate: trimString(alphaTemplateEt.text) || RENDER_OUTPUT.alphaTemplate,
+                fileName: trimString(fileNameEt.text) || RENDER_OUTPUT.fileName,
+                folder: trimString(renderFolderEt.text)
+            };
+        }
+
+        function readNews() {
+            if (!newsCb.value) {
+                return null;
+            }
+            return {
+                headlines: readHeadlines(),
+                height: readFloat(newsHeightEt, NEWS_LANE.height, 16, 2000),
+                font: newsFontEt.text.length ? newsFontEt.text : NEWS_LANE.font,
+                fontSize: readFloat(newsSizeEt, NEWS_LANE.fontSize, 1, 1296),
+                color: parseColor(newsColorEt.text, NEWS_LANE.color),
+                scrollSpeed: readFloat(newsSpeedEt, NEWS_LANE.scrollSpeed),
+                separator: NEWS_LANE.separator,
+                breaking: breakingCb.value,
+                breakingLabel: NEWS_LANE.breakingLabel,
+                breakingText: trimString(breakingTextEt.text),
+                breakingStart: readFloat(breakingStartEt, NEWS_LANE.breakingStart, 0),
+                breakingDuration: readFloat(breakingDurationEt, NEWS_LANE.breakingDuration, 0),
+                breakingColor: NEWS_LANE.breakingColor,
+                breakingTextColor: NEWS_LANE.breakingTextColor
+            };
+        }
+
+        function readInt(editField, fallback, minValue, maxValue) {
+            var val = parseInt(editField.text, 10);
+            if (isNaN(val)) {
+                val = fallback;
+            }
+            if (minValue !== undefined) {
+                val = Math.max(minValue, val);
+            }
+            if (maxValue !== undefined) {
+                val = Math.min(maxValue, val);
+            }
+            editField.text = val.toString();
+            return val;
+        }
+
+        function readFloat(editField, fallback, minValue, maxValue) {
+            var val = parseFloat(editField.text);
+            if (isNaN(val)) {
+                val = fallback;
+            }
+            if (minValue !== undefined) {
+                val = Math.max(minValue, val);
+            }
+            if (maxValue !== undefined) {
+                val = Math.min(maxValue, val);
+            }
+            editField.text = val.toString();
+            return val;
+        }
+
+        function readDecimals(editField, fallback) {
+            if (/^\s*auto\s*$/i.test(editField.text) || (fallback === "auto" && isNaN(parseInt(editField.text, 10)))) {
+                editField.text = "auto";
+                return "auto";
+            }
+            return readInt(editField, fallback === "auto" ? 2 : fallback, 0, 10);
+        }
+
+        function readFormat() {
+            return {
+                decimalSeparator: decimalSeparatorEt.text.length ? decimalSeparatorEt.text : NUMBER_FORMAT.decimalSeparator,
+                groupSeparator: groupSeparatorEt.text,
+                currencySymbol: currencyEt.text,
+                currencyPosition: currencyPositions[currencyPositionDd.selection ? currencyPositionDd.selection.index : 0],
+                decimals: readDecimals(decimalsEt, NUMBER_FORMAT.decimals),
+                symbolDecimals: parseSymbolDecimals(symbolDecimalsEt.text),
+                percentDecimals: readDecimals(percentDecimalsEt, NUMBER_FORMAT.percentDecimals),
+                abbreviate: abbreviateCb.value,
+                arrows: arrowStyles[arrowDd.selection ? arrowDd.selection.index : 0]
+            };
+        }
+
+        function readSettings() {
+            return {
+                name: compNameEt.text.length ? compNameEt.text : COMP_SETTINGS.name,
+                width: readInt(compWidthEt, COMP_SETTINGS.width, 16, 30000),
+                height: readInt(compHeightEt, COMP_SETTINGS.height, 16, 30000),
+                duration: readFloat(compDurationEt, COMP_SETTINGS.duration, 0.1, 10800),
+                frameRate: readFloat(compFpsEt, COMP_SETTINGS.frameRate, 1, 99)
+            };
+        }
+
+        function readOptions() {
+            return {
+                font: fontEt.text.length ? fontEt.text : TICKER_OPTIONS.font,
+                fontSize: readFloat(fontSizeEt, TICKER_OPTIONS.fontSize, 1, 1296),
+                tracking: readFloat(trackingEt, TICKER_OPTIONS.tracking, -1000, 1000),
+                gap: readFloat(gapEt, TICKER_OPTIONS.gap, 0),
+                scrollSpeed: readFloat(speedEt, TICKER_OPTIONS.scrollSpeed),
+                rightPadding: TICKER_OPTIONS.rightPadding,
+                backgroundColor: parseColor(backgroundColorEt.text, TICKER_OPTIONS.backgroundColor),
+                strokeColor: parseColor(strokeColorEt.text, TICKER_OPTIONS.strokeColor),
+                strokeWidth: readFloat(strokeWidthEt, TICKER_OPTIONS.strokeWidth, 0),
+                positiveColor: parseColor(positiveColorEt.text, TICKER_OPTIONS.positiveColor),
+                negativeColor: parseColor(negativeColorEt.text, TICKER_OPTIONS.negativeColor),
+                neutralColor: parseColor(neutralColorEt.text, TICKER_OPTIONS.neutralColor),
+                style: styles[styleDd.selection ? styleDd.selection.index : 0],
+                renderMode: renderModes[renderModeDd.selection ? renderModeDd.selection.index : 0],
+                perfectLoop: perfectLoopCb.value,
+                updateEffect: updateEffects[updateEffectDd.selection ? updateEffectDd.selection.index : 0],
+                transitionDuration: readFloat(transitionEt, TICKER_OPTIONS.transitionDuration, 0),
+                flashColor: parseColor(flashColorEt.text, TICKER_OPTIONS.flashColor),
+                sparklineWidth: readFloat(sparklineWidthEt, TICKER_OPTIONS.sparklineWidth, 1),
+                sparklineHeight: TICKER_OPTIONS.sparklineHeight,
+                sparklineGap: TICKER_OPTIONS.sparklineGap,
+                sparklineStrokeWidth: TICKER_OPTIONS.sparklineStrokeWidth,
+                logoFolder: trimString(logoFolderEt.text),
+                logoHeight: TICKER_OPTIONS.logoHeight,
+                logoGap: TICKER_OPTIONS.logoGap,
+                sortQuotes: sortModes[sortDd.selection ? sortDd.selection.index : 0],
+                groupColors: TICKER_OPTIONS.groupColors,
+                headerTextColor: parseColor(headerTextColorEt.text, TICKER_OPTIONS.headerTextColor),
+                headerSize: TICKER_OPTIONS.headerSize,
+                rollHold: readFloat(rollHoldEt, TICKER_OPTIONS.rollHold, 0),
+                rollTransition: readFloat(rollTransitionEt, TICKER_OPTIONS.rollTransition, 0),
+                boardColumns: readInt(boardColumnsEt, TICKER_OPTIONS.boardColumns, 1, 12),
+                boardFont: TICKER_OPTIONS.boardFont,
+                boardTileColor: TICKER_OPTIONS.boardTileColor,
+                flipDuration: TICKER_OPTIONS.flipDuration,
+                flipStagger: TICKER_OPTIONS.flipStagger,
+                spotlight: spotlightCb.value,
+                spotlightSymbol: trimString(spotlightSymbolEt.text).toUpperCase(),
+                spotlightTime: readFloat(spotlightTimeEt, TICKER_OPTIONS.spotlightTime, 0),
+                spotlightHold: readFloat(spotlightHoldEt, TICKER_OPTIONS.spotlightHold, 0),
+                spotlightEase: readFloat(spotlightEaseEt, TICKER_OPTIONS.spotlightEase, 0),
+                spotlightScale: TICKER_OPTIONS.spotlightScale,
+                spotlightColor: TICKER_OPTIONS.spotlightColor,
+                easeIn: readFloat(easeInEt, TICKER_OPTIONS.easeIn, 0),
+                easeOut: readFloat(easeOutEt, TICKER_OPTIONS.easeOut, 0),
+                intro: intros[introDd.selection ? introDd.selection.index : 0],
+                introDuration: readFloat(introDurationEt, TICKER_OPTIONS.introDuration, 0),
+                outroDuration: readFloat(outroDurationEt, TICKER_OPTIONS.outroDuration, 0),
+                essentialGraphics: essentialGraphicsCb.value,
+                logos: null, // footage by symbol, filled in by run() when a logo folder is set
+                news: readNews(),
+                status: readStatus(),
+                format: readFormat()
+            };
+        }
+
+        function addReviewChoice(parent, label, check) {
+            var group = parent.add("group");
+            group.orientation = "row";
+            group.alignChildren = ["left", "center"];
+            group.spacing = 6;
+            var st = group.add("statictext", undefined, label);
+            st.preferredSize.width = 420;
+            var actions = check.canFix ? ["fix", "skip"] : ["skip"];
+            var labels = check.canFix ? ["Fix", "Skip"] : ["Skip"];
+            if (check.canKeep) {
+                actions.push("keep");
+                labels.push("Keep as is");
+            }
+            var dd = group.add("dropdownlist", undefined, labels);
+            dd.selection = 0;
+            return {dropdown: dd, actions: actions};
+        }
+
+        /**
+         * Checks every row before a build and, when something is off, asks whether to fix, skip
+         * or keep each flagged row. Fixes are written back to the symbol table. Returns the quotes
+         * to build, or null when the dialog is cancelled.
+         */
+        function reviewQuotes() {
+            var flagged = [];
+            for (var i = 0; i < rows.length; i++) {
+                var check = checkQuote(rows[i]);
+                if (check.issues.length) {
+                    flagged.push({index: i, check: check});
+                }
+            }
+            if (!flagged.length) {
+                return rows.slice();
+            }
+
+            var dlg = new Window("dialog", SCRIPT_NAME + " - Check Quotes");
+            dlg.orientation = "column";
+            dlg.alignChildren = ["fill", "top"];
+            dlg.spacing = 6;
+            dlg.margins = 12;
+            dlg.add("statictext", undefined, flagged.length + " of " + rows.length + " quote(s) need attention before building:");
+            var choices = [];
+            for (var f = 0; f < flagged.length && f < MAX_REPORTED_ISSUES; f++) {
+                var row = rows[flagged[f].index];
+                var name = typeof row.symbol === "string" && row.symbol.length ? row.symbol : "(no symbol)";
+                choices.push(addReviewChoice(dlg, "Row " + (flagged[f].index + 1) + " " + name + ": " + flagged[f].check.issues.join("; "), flagged[f].check));
+            }
+            var rest = null;
+            if (flagged.length > MAX_REPORTED_ISSUES) {
+                // One choice covers the remaining rows; rows that cannot take it are skipped.
+                rest = addReviewChoice(dlg, "The other " + (flagged.length - MAX_REPORTED_ISSUES) + " flagged row(s)", {canFix: true, canKeep: true});
+            }
+            var dialogButtons = dlg.add("group");
+            dialogButtons.alignment = ["right", "center"];
+            dialogButtons.add("button", undefined, "Build", {name: "ok"});
+            dialogButtons.add("button", undefined, "Cancel", {name: "cancel"});
+            if (dlg.show() !== 1) {
+                return null;
+            }
+
+            var skip = {};
+            for (var n = 0; n < flagged.length; n++) {
+                var choice = n < choices.length ? choices[n] : rest;
+                var action = choice.actions[choice.dropdown.selection ? choice.dropdown.selection.index : 0];
+                var flaggedCheck = flagged[n].check;
+                if ((action === "fix" && !flaggedCheck.canFix) || (action === "keep" && !flaggedCheck.canKeep)) {
+                    action = "skip";
+                }
+                if (action === "fix") {
+                    rows[flagged[n].index] = fixQuote(rows[flagged[n].index]);
+                } else if (action === "skip") {
+                    skip[flagged[n].index] = true;
+                }
+            }
+            refreshQuoteList(quoteList.selection ? quoteList.selection.index : undefined);
+
+            var quotes = [];
+            for (var q = 0; q < rows.length; q++) {
+                if (!skip.hasOwnProperty(q)) {
+                    quotes.push(rows[q]);
+                }
+            }
+            return quotes;
+        }
+
+        function run(updateExisting) {
+            pollDropFolder();
+            if (!rows.length) {
+                alert(SCRIPT_NAME + ": No ticker data supplied.");
+                return;
+            }
+            var quotes = reviewQuotes();
+            if (!quotes) {
+                return;
+            }
+            if (!quotes.length) {
+                alert(SCRIPT_NAME + ": Every quote was skipped; nothing to build.");
+                return;
+            }
+            var settings = readSettings();
+            var options = readOptions();
+            if (options.news && !options.news.headlines.length) {
+                alert(SCRIPT_NAME + ": The news lane is on but has no headlines.");
+                return;
+            }
+            if (options.status && !options.status.asOf && !options.status.session && !options.status.indexSymbol) {
+                alert(SCRIPT_NAME + ": The status strip is on but has no time, session or index symbol to show.");
+                return;
+            }
+            var outputs = readOutputs();
+            if (outputs && !outputs.length) {
+                alert(SCRIPT_NAME + ": Output presets are on but none is checked.");
+                return;
+            }
+            var render = readRender();
+            var targetComp = null;
+            if (updateExisting && !outputs) {
+                targetComp = findTickerComp(settings.name);
+                if (!targetComp && !confirm(SCRIPT_NAME + ": No ticker comp named \"" + settings.name + "\" was found.\nBuild a new one?")) {
+                    return;
+                }
+            }
+            var offerExport = false;
+            app.beginUndoGroup(SCRIPT_NAME);
+            try {
+                var warnings = [];
+                // The single crawl layer and the board are plain text, without per-symbol extras.
+                var textOnly = options.style === "board" ? "on the split-flap board" : null;
+                if (options.style === "crawl" && options.renderMode === "single") {
+                    textOnly = "in the single text layer";
+                }
+                if (options.logoFolder && textOnly) {
+                    warnings.push("Logos are not placed " + textOnly + ".");
+                } else if (options.logoFolder) {
+                    if (!app.project) {
+                        app.newProject();
+                    }
+                    options.logos = importLogos(new Folder(options.logoFolder), quotes, warnings);
+                }
+                if (options.spotlight && (options.style !== "crawl" || options.renderMode === "single")) {
+                    warnings.push("The spotlight needs the crawl with one layer per symbol; it was left off.");
+                    options.spotlight = false;
+                } else if (options.spotlight && !spotlightIndex(quotes, options.spotlightSymbol)) {
+                    warnings.push("Spotlight symbol \"" + options.spotlightSymbol + "\" is not in the list; it was left off.");
+                    options.spotlight = false;
+                }
+                if (options.status && options.style === "board") {
+                    warnings.push("The status strip is not drawn on the split-flap board.");
+                    options.status = null;
+                } else if (options.status && options.status.indexSymbol && !findQuote(quotes, options.status.indexSymbol)) {
+                    warnings.push("Index symbol \"" + options.status.indexSymbol + "\" is not in the list; the status strip shows no index line.");
+                    options.status.indexSymbol = "";
+                }
+                var targets = [];
+                if (outputs) {
+                    for (var o = 0; o < outputs.length; o++) {
+                        targets.push(syncOutputPreset(settings, options, quotes, outputs[o], updateExisting, warnings));
+                    }
+                } else {
+                    if (targetComp) {
+                        warnings = warnings.concat(updateTicker(targetComp, options, quotes));
+                    } else {
+                        targetComp = buildTicker(settings, options, quotes);
+                    }
+                    targets.push({bar: targetComp, comp: targetComp});
+                }
+                if (options.essentialGraphics) {
+                    for (var t = 0; t < targets.length; t++) {
+                        warnings = warnings.concat(syncEssentialGraphics(targets[t].bar, options));
+                    }
+                    // With several outputs, "Export .mogrt..." picks the one to export.
+                    offerExport = !outputs && targetComp.motionGraphicsTemplateControllerCount > 0;
+                }
+                for (var r = 0; render && r < targets.length; r++) {
+                    queueRender(targets[r].comp, outputs ? outputs[r] : null, render, warnings);
+                }
+                if (textOnly === "in the single text layer" && countQuotesWith(quotes, "snapshots") > 0) {
+                    warnings.push("The single text layer shows opening values only; " + countQuotesWith(quotes, "snapshots") +
+                        " symbol(s) have timed snapshots that need the layer-per-symbol mode.");
+                }
+                if (textOnly && countQuotesWith(quotes, "sparkline") > 0) {
+                    warnings.push("Sparklines are not drawn " + textOnly + "; " + countQuotesWith(quotes, "sparkline") +
+                        " symbol(s) have one.");
+                }
+                if (textOnly && countQuotesWith(quotes, "group") > 0) {
+                    warnings.push("Section headers are not drawn " + textOnly + "; the grouped order is kept.");
+                }
+                if (warnings.length) {
+                    alert(SCRIPT_NAME + "\n\n" + warnings.join("\n"));
+                }
+            } catch (err) {
+                var message = SCRIPT_NAME + " error: " + err.toString();
+                if (err.line) {
+                    message += " (line " + err.line + ")";
+                }
+                alert(message);
+            } finally {
+                app.endUndoGroup();
+            }
+            if (offerExport && typeof targetComp.exportAsMotionGraphicsTemplate === "function" &&
+                    confirm(SCRIPT_NAME + ": Export \"" + targetComp.name + "\" as a .mogrt for Premiere Pro now?")) {
+                exportMogrtDialog(targetComp);
+            }
+        }
+
+        function exportMogrtDialog(comp) {
+            var file = File.saveDialog("Export Motion Graphics template as", "Motion Graphics templates:*.mogrt");
+            if (!file) {
+                return;
+            }
+            if (!/\.mogrt$/i.test(file.name)) {
+                file = new File(file.fsName + ".mogrt");
+            }
+            try {
+                exportMogrt(comp, file);
+            } catch (err) {
+                alert(SCRIPT_NAME + ": " + err.toString());
+            }
+        }
+
+        generateBtn.onClick = function () {
+            run(false);
+        };
+
+        updateBtn.onClick = function () {
+            run(true);
+        };
+
+        exportMogrtBtn.onClick = function () {
+            var comp = findTickerComp(readSettings().name);
+            if (!comp) {
+                alert(SCRIPT_NAME + ": No ticker comp to export; select one or build it first.");
+                return;
+            }
+            exportMogrtDialog(comp);
+        };
+
+        refreshQuoteList();
+        pollDropFolder();
+
+        pal.onResizing = pal.onResize = function () {
+            this.layout.resize();
+        };
+
+        return pal;
+    }
+
+    var palette = buildUI(thisObj);
+    if (palette instanceof Window) {
+        palette.center();
+        palette.show();
+    } else if (palette) {
+        palette.layout.layout(true);
     }
-})();
+})(this);